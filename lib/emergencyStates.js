@@ -0,0 +1,57 @@
+// ============================================================
+// 🚦 ESTADOS DE EMERGENCIA Y TRANSICIONES PERMITIDAS
+// ============================================================
+// Sin Firestore ni sockets: server.js aplica las transiciones, acá solo se decide si valen.
+
+const EMERGENCY_STATES = {
+  RAISED: "raised",
+  HELPERS_EN_ROUTE: "helpers_en_route",
+  HELPER_ON_SCENE: "helper_on_scene",
+  RESOLVED: "resolved",
+  CANCELLED: "cancelled",
+  EXPIRED: "expired",
+};
+
+const EMERGENCY_TRANSITIONS = {
+  [EMERGENCY_STATES.RAISED]: [
+    EMERGENCY_STATES.HELPERS_EN_ROUTE,
+    EMERGENCY_STATES.HELPER_ON_SCENE,
+    EMERGENCY_STATES.RESOLVED,
+    EMERGENCY_STATES.CANCELLED,
+    EMERGENCY_STATES.EXPIRED,
+  ],
+  [EMERGENCY_STATES.HELPERS_EN_ROUTE]: [
+    EMERGENCY_STATES.RAISED, // todos los ayudantes se retiraron
+    EMERGENCY_STATES.HELPER_ON_SCENE,
+    EMERGENCY_STATES.RESOLVED,
+    EMERGENCY_STATES.CANCELLED,
+    EMERGENCY_STATES.EXPIRED,
+  ],
+  [EMERGENCY_STATES.HELPER_ON_SCENE]: [
+    EMERGENCY_STATES.HELPERS_EN_ROUTE, // el ayudante en el lugar se retiró
+    EMERGENCY_STATES.RESOLVED,
+    EMERGENCY_STATES.CANCELLED,
+    EMERGENCY_STATES.EXPIRED,
+  ],
+  [EMERGENCY_STATES.RESOLVED]: [],
+  [EMERGENCY_STATES.CANCELLED]: [],
+  [EMERGENCY_STATES.EXPIRED]: [],
+};
+
+const TERMINAL_EMERGENCY_STATES = new Set([
+  EMERGENCY_STATES.RESOLVED,
+  EMERGENCY_STATES.CANCELLED,
+  EMERGENCY_STATES.EXPIRED,
+]);
+
+const isTerminal = (status) => TERMINAL_EMERGENCY_STATES.has(status);
+
+const canTransition = (from, to) => (EMERGENCY_TRANSITIONS[from] || []).includes(to);
+
+module.exports = {
+  EMERGENCY_STATES,
+  EMERGENCY_TRANSITIONS,
+  TERMINAL_EMERGENCY_STATES,
+  isTerminal,
+  canTransition,
+};
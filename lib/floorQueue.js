@@ -0,0 +1,21 @@
+// ============================================================
+// 🎙️ COLA DE TURNOS PUSH-TO-TALK
+// ============================================================
+// Orden de la cola de pedidos de turno; timers, sockets y estado viven en floorControl (server.js).
+const PTT_PRIORITIES = { NORMAL: "normal", EMERGENCY: "emergency" };
+
+// Emergencias primero; dentro de cada prioridad, orden de llegada.
+// `front` ubica el pedido al inicio de su banda (hablante interrumpido). Devuelve la posición (desde 1).
+const enqueue = (floor, request, { front = false } = {}) => {
+  const isEmergency = request.priority === PTT_PRIORITIES.EMERGENCY;
+  const bandStart = isEmergency ? 0 : floor.queue.findIndex((q) => q.priority !== PTT_PRIORITIES.EMERGENCY);
+  const bandEnd = floor.queue.findIndex((q) => isEmergency && q.priority !== PTT_PRIORITIES.EMERGENCY);
+  const start = bandStart === -1 ? floor.queue.length : bandStart;
+  const end = bandEnd === -1 ? floor.queue.length : bandEnd;
+
+  const index = front ? start : end;
+  floor.queue.splice(index, 0, request);
+  return index + 1;
+};
+
+module.exports = { PTT_PRIORITIES, enqueue };
@@ -0,0 +1,100 @@
+// ============================================================
+// 📐 VALIDACIÓN DE PAYLOADS (EVENTOS DE SOCKET Y CUERPOS REST)
+// ============================================================
+// Cada campo: { type, required, min, max, integer, enum, pattern, items }; type puede ser una lista.
+// min/max son longitud para strings/arrays y valor para números. Los campos
+// que no figuran en el esquema se descartan antes de llegar al handler.
+const { Buffer } = require("buffer");
+
+const field = {
+  id: (opts = {}) => ({ type: "string", min: 1, max: 128, ...opts }),
+  text: (max, opts = {}) => ({ type: "string", max, ...opts }),
+  lat: (opts = {}) => ({ type: "number", min: -90, max: 90, ...opts }),
+  lng: (opts = {}) => ({ type: "number", min: -180, max: 180, ...opts }),
+  timestamp: () => ({ type: "number", min: 0 }),
+  accuracy: () => ({ type: "number", min: 0 }),
+  boolean: (opts = {}) => ({ type: "boolean", ...opts }),
+};
+
+const validation = {
+  // Devuelve el valor limpio o undefined (y acumula el error)
+  checkValue: (name, spec, value, errors) => {
+    const fail = (code, message) => {
+      errors.push({ field: name, code, message });
+      return undefined;
+    };
+
+    const types = [].concat(spec.type);
+    const actualType = Array.isArray(value) ? "array" : Buffer.isBuffer(value) ? "buffer" : typeof value;
+    if (!types.includes(actualType) || (actualType === "number" && !Number.isFinite(value))) {
+      return fail("INVALID_TYPE", `${name} debe ser de tipo ${types.join(" o ")}`);
+    }
+
+    if (["string", "array", "buffer"].includes(actualType)) {
+      if (spec.min !== undefined && value.length < spec.min) {
+        return fail("TOO_SHORT", `${name} requiere al menos ${spec.min} elemento(s)`);
+      }
+      if (spec.max !== undefined && value.length > spec.max) {
+        return fail("TOO_LONG", `${name} admite como máximo ${spec.max} elemento(s)`);
+      }
+    }
+
+    if (actualType === "number") {
+      if (spec.integer && !Number.isInteger(value)) {
+        return fail("INVALID_TYPE", `${name} debe ser un entero`);
+      }
+      if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+        return fail("OUT_OF_RANGE", `${name} fuera de rango [${spec.min ?? "-∞"}, ${spec.max ?? "∞"}]`);
+      }
+    }
+
+    if (spec.enum && !spec.enum.includes(value)) {
+      return fail("INVALID_VALUE", `${name} debe ser uno de: ${spec.enum.join(", ")}`);
+    }
+
+    if (spec.pattern && !spec.pattern.test(value)) {
+      return fail("INVALID_FORMAT", `${name} tiene un formato inválido`);
+    }
+
+    if (actualType === "array" && spec.items) {
+      return value.map((item, i) => validation.checkValue(`${name}[${i}]`, spec.items, item, errors));
+    }
+
+    return value;
+  },
+
+  // null/undefined cuentan como ausentes; los campos fuera del esquema se descartan
+  validate: (schema, payload) => {
+    const data = payload ?? {};
+    if (typeof data !== "object" || Array.isArray(data)) {
+      return {
+        ok: false,
+        errors: [{ field: "payload", code: "INVALID_TYPE", message: "El payload debe ser un objeto" }],
+      };
+    }
+
+    const errors = [];
+    const value = {};
+
+    for (const [name, spec] of Object.entries(schema)) {
+      const raw = data[name];
+      if (raw === undefined || raw === null) {
+        if (spec.required) errors.push({ field: name, code: "REQUIRED", message: `${name} es requerido` });
+        continue;
+      }
+      const cleaned = validation.checkValue(name, spec, raw, errors);
+      if (cleaned !== undefined) value[name] = cleaned;
+    }
+
+    return errors.length ? { ok: false, errors } : { ok: true, value };
+  },
+
+  rejection: (errors) => ({
+    success: false,
+    code: "VALIDATION_ERROR",
+    message: errors.map((e) => e.message).join("; "),
+    errors,
+  }),
+};
+
+module.exports = { field, validation };
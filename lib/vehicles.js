@@ -0,0 +1,35 @@
+// ============================================================
+// 🚗 ESQUEMA DE VEHÍCULOS (POST /vehicles)
+// ============================================================
+// Los campos por tipo son los que leen GET /vehicles y el payload de emergency_alert.
+const { field } = require("./validation");
+
+const VEHICLE_TYPES = ["CAR", "MOTORCYCLE", "BICYCLE"];
+
+const VEHICLE_BODY_SCHEMA = {
+  id: field.id(),
+  userId: field.id({ required: true }),
+  type: field.text(20, { required: true, enum: VEHICLE_TYPES }),
+  name: field.text(100),
+  brand: field.text(100),
+  model: field.text(100),
+  year: { type: "number", integer: true, min: 1900, max: 2100 },
+  color: field.text(50),
+  licensePlate: field.text(20),
+  patente: field.text(20), // clientes anteriores a licensePlate
+  description: field.text(500),
+  photoUri: field.text(2048),
+  isActive: field.boolean(),
+  isPrimary: field.boolean(),
+  // CAR
+  doors: { type: "number", integer: true, min: 0, max: 10 },
+  // MOTORCYCLE
+  cylinderCapacity: { type: "number", min: 0 },
+  mileage: { type: "number", min: 0 },
+  // BICYCLE
+  frameSerialNumber: field.text(100),
+  hasElectricMotor: field.boolean(),
+  frameSize: field.text(20),
+};
+
+module.exports = { VEHICLE_TYPES, VEHICLE_BODY_SCHEMA };
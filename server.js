@@ -11,8 +11,13 @@ const http = require("http");
 const socketIo = require("socket.io");
 const cors = require("cors");
 const { v4: uuidv4 } = require("uuid");
+const crypto = require("crypto");
 const admin = require("firebase-admin");
 const { Buffer } = require("buffer");
+const emergencyStates = require("./lib/emergencyStates");
+const { field, validation: schemaValidation } = require("./lib/validation");
+const floorQueue = require("./lib/floorQueue");
+const { VEHICLE_BODY_SCHEMA } = require("./lib/vehicles");
 
 // 🎨 Colores ANSI para logs
 const colors = {
@@ -72,14 +77,617 @@ const COLLECTIONS = {
   USERS: "users",
   MESSAGES: "messages",
   VEHICLES: "vehicles",
-  EMERGENCIES: "emergencies"
+  EMERGENCIES: "emergencies",
+  CALLS: "calls",
+  ROOMS: "rooms",
+  CONVERSATIONS: "conversations",
+  LOCKS: "LOCKS"
 };
 
 // ============================================================
-// 🔒 CONFIGURACIÓN DE LOCKS
+// 🔒 CONFIGURACIÓN DE LOCKS (UNO POR VÍCTIMA)
 // ============================================================
-const LOCK_REF = db.collection("LOCKS").doc("active_emergency");
-const LOCK_TTL_MS = 5 * 60 * 1000; // 5 minutos (ajustable)
+// Cada víctima tiene su propio lock en LOCKS/emergency_{userId}: pueden
+// coexistir muchas emergencias, pero un mismo usuario no puede abrir dos.
+// El TTL se mide desde el último heartbeat de la víctima (update_emergency_location)
+const LOCK_TTL_MS = Number(process.env.EMERGENCY_LOCK_TTL_MS) || 5 * 60 * 1000; // 5 minutos
+const HEARTBEAT_PERSIST_INTERVAL_MS = 30 * 1000; // renovar el lock en Firestore como máximo cada 30s
+const EMERGENCY_SWEEP_INTERVAL_MS = Number(process.env.EMERGENCY_SWEEP_INTERVAL_MS) || 30 * 1000;
+
+// Ventana para que una víctima desconectada (p.ej. cambio Wi-Fi → datos) retome su emergencia
+const EMERGENCY_RECONNECT_GRACE_MS = Number(process.env.EMERGENCY_RECONNECT_GRACE_MS) || 60 * 1000;
+const EMERGENCY_RECONNECT_TICK_MS = 10 * 1000; // cada cuánto se reenvía la cuenta regresiva
+
+// ============================================================
+// 📜 CONFIGURACIÓN DE TRANSCRIPCIONES DE EMERGENCIA
+// ============================================================
+const TRANSCRIPT_RETENTION_DAYS = Number(process.env.EMERGENCY_TRANSCRIPT_RETENTION_DAYS) || 90;
+const TRANSCRIPT_RETENTION_MS = TRANSCRIPT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+const TRANSCRIPT_PURGE_INTERVAL_MS = 6 * 60 * 60 * 1000; // revisar vencimientos cada 6 horas
+const FIRESTORE_BATCH_LIMIT = 450; // margen bajo el límite de 500 operaciones por batch
+
+// ============================================================
+// 📡 CONFIGURACIÓN DE DIFUSIÓN POR PROXIMIDAD
+// ============================================================
+// La alerta se envía por anillos: primero a quienes están cerca de la víctima y,
+// si no confirman suficientes ayudantes, se amplía el radio al siguiente anillo.
+const EMERGENCY_BROADCAST_RINGS_KM = (process.env.EMERGENCY_BROADCAST_RINGS_KM || "2,5,10,25")
+  .split(",")
+  .map(Number)
+  .filter((km) => km > 0)
+  .sort((a, b) => a - b);
+const EMERGENCY_MIN_HELPERS = Number(process.env.EMERGENCY_MIN_HELPERS) || 2;
+const EMERGENCY_RING_INTERVAL_MS = Number(process.env.EMERGENCY_RING_INTERVAL_MS) || 60 * 1000;
+const NEARBY_LOCATION_MAX_AGE_MS = Number(process.env.NEARBY_LOCATION_MAX_AGE_MS) || 6 * 60 * 60 * 1000; // 6 horas
+
+// ============================================================
+// 🪜 CONFIGURACIÓN DE ESCALAMIENTO (SIN AYUDANTES CONFIRMADOS)
+// ============================================================
+// Formato: "accion:segundos,..." contados desde el inicio de la emergencia.
+// Acciones: repush_urgent | widen_radius | notify_contacts | dispatch_webhook
+const EMERGENCY_ESCALATION_POLICY = (
+  process.env.EMERGENCY_ESCALATION_POLICY ||
+  "repush_urgent:120,widen_radius:240,notify_contacts:360,dispatch_webhook:600"
+)
+  .split(",")
+  .map((step) => {
+    const [action, seconds] = step.trim().split(":");
+    return { action, afterMs: Number(seconds) * 1000 };
+  })
+  .filter((step) => step.action && step.afterMs >= 0)
+  .sort((a, b) => a.afterMs - b.afterMs);
+const EMERGENCY_DISPATCH_WEBHOOK_URL = process.env.EMERGENCY_DISPATCH_WEBHOOK_URL || null;
+const EMERGENCY_DISPATCH_WEBHOOK_TIMEOUT_MS = Number(process.env.EMERGENCY_DISPATCH_WEBHOOK_TIMEOUT_MS) || 10000;
+
+// ============================================================
+// 👥 CONFIGURACIÓN DE AYUDANTES POR EMERGENCIA
+// ============================================================
+const EMERGENCY_MAX_ACTIVE_HELPERS = Number(process.env.EMERGENCY_MAX_ACTIVE_HELPERS) || 3;
+
+const HELPER_ROLES = { PRIMARY: "primary", BACKUP: "backup" };
+const HELPER_STATUSES = {
+  EN_ROUTE: "en_route",
+  ARRIVED: "arrived",
+  WITHDRAWN: "withdrawn",
+  REJECTED: "rejected",     // la víctima liberó el lugar
+  WAITLISTED: "waitlisted", // cupo lleno, espera a que se libere un lugar
+};
+
+// ============================================================
+// ⏱️ CONFIGURACIÓN DE ETA Y LLEGADA DE AYUDANTES
+// ============================================================
+const HELPER_ARRIVAL_RADIUS_M = Number(process.env.HELPER_ARRIVAL_RADIUS_M) || 50;
+const HELPER_TRAIL_SIZE = Number(process.env.HELPER_TRAIL_SIZE) || 6;        // puntos usados para estimar velocidad
+const HELPER_DEFAULT_SPEED_KMH = Number(process.env.HELPER_DEFAULT_SPEED_KMH) || 30; // sin trail suficiente
+const HELPER_MIN_SPEED_KMH = 3; // por debajo se considera detenido y se usa la velocidad por defecto
+
+// ============================================================
+// 📦 CONFIGURACIÓN DEL PIPELINE DE UBICACIONES
+// ============================================================
+// El relay a la sala es siempre en tiempo real; solo se filtra y agrupa lo que va a Firestore.
+const LOCATION_MIN_DISTANCE_M = Number(process.env.LOCATION_MIN_DISTANCE_M) || 10;      // menos que esto es jitter
+const LOCATION_MIN_INTERVAL_MS = Number(process.env.LOCATION_MIN_INTERVAL_MS) || 3000;  // como máximo un punto cada 3s
+const LOCATION_KEEPALIVE_MS = Number(process.env.LOCATION_KEEPALIVE_MS) || 60 * 1000;   // guardar aunque esté quieto
+const LOCATION_BATCH_SIZE = Number(process.env.LOCATION_BATCH_SIZE) || 25;
+const LOCATION_FLUSH_INTERVAL_MS = Number(process.env.LOCATION_FLUSH_INTERVAL_MS) || 10 * 1000;
+
+// ============================================================
+// 🕶️ CONFIGURACIÓN DE PRIVACIDAD DE UBICACIÓN
+// ============================================================
+const LOCATION_SHARING_MODES = {
+  OFF: "off",                       // no se guarda ni se comparte
+  EMERGENCY_ONLY: "emergency_only", // se usa para alertas cercanas y se comparte solo dentro de emergencias
+  ALWAYS: "always",                 // también visible en listas de usuarios (con difuminado opcional)
+};
+const DEFAULT_LOCATION_SHARING_MODE = Object.values(LOCATION_SHARING_MODES)
+  .includes(process.env.DEFAULT_LOCATION_SHARING_MODE)
+  ? process.env.DEFAULT_LOCATION_SHARING_MODE
+  : LOCATION_SHARING_MODES.EMERGENCY_ONLY;
+const LOCATION_FUZZ_MAX_M = 5000;
+const LOCATION_RETENTION_MS = Number(process.env.LOCATION_RETENTION_MS) || 24 * 60 * 60 * 1000; // 24 horas
+const LOCATION_RETENTION_SWEEP_MS = Number(process.env.LOCATION_RETENTION_SWEEP_MS) || 60 * 60 * 1000;
+
+// ============================================================
+// 🗺️ CONFIGURACIÓN DEL ÍNDICE GEOESPACIAL (GEOHASH)
+// ============================================================
+const GEOHASH_STORE_PRECISION = 9;  // ~5 m, guardado en users.geohash
+const GEOHASH_INDEX_MAX_PRECISION = 6; // ~1.2 km, nivel más fino del índice en memoria
+const GEO_NEAREST_MAX_RADIUS_KM = Number(process.env.GEO_NEAREST_MAX_RADIUS_KM) || 50;
+
+// ============================================================
+// 🎙️ CONFIGURACIÓN PUSH-TO-TALK (TURNO DE PALABRA)
+// ============================================================
+const PTT_CHANNEL_TYPES = ["ptt", "emergency"];
+const { PTT_PRIORITIES } = floorQueue;
+const PTT_MAX_TALK_MS = Number(process.env.PTT_MAX_TALK_MS) || 30 * 1000;
+const PTT_EMERGENCY_MAX_TALK_MS = Number(process.env.PTT_EMERGENCY_MAX_TALK_MS) || 60 * 1000;
+const PTT_QUEUE_MAX = Number(process.env.PTT_QUEUE_MAX) || 10;
+const PTT_STREAM_DEFAULT_MIME = "audio/ogg";
+const PTT_STREAM_MAX_CHUNK_BYTES = Number(process.env.PTT_STREAM_MAX_CHUNK_BYTES) || 64 * 1024;
+const PTT_STREAM_MAX_BYTES = Number(process.env.PTT_STREAM_MAX_BYTES) || 5 * 1024 * 1024;
+const PTT_STREAM_IDLE_MS = Number(process.env.PTT_STREAM_IDLE_MS) || 5000; // sin chunks → se cierra
+
+// ============================================================
+// 📞 CONFIGURACIÓN DE LLAMADAS (SEÑALIZACIÓN WEBRTC)
+// ============================================================
+const CALL_STATES = { RINGING: "ringing", CONNECTED: "connected", ENDED: "ended" };
+const CALL_RING_TIMEOUT_MS = Number(process.env.CALL_RING_TIMEOUT_MS) || 45 * 1000; // incluye tiempo de abrir la push
+const CALL_ICE_SERVERS = (() => {
+  try {
+    return JSON.parse(process.env.CALL_ICE_SERVERS_JSON || "null") || [{ urls: "stun:stun.l.google.com:19302" }];
+  } catch (_) {
+    return [{ urls: "stun:stun.l.google.com:19302" }];
+  }
+})();
+
+// ============================================================
+// 🗂️ CONFIGURACIÓN DE CANALES DE USUARIO
+// ============================================================
+const ROOM_TYPES = { PUBLIC: "public", PRIVATE: "private", PTT: "ptt" };
+const ROOM_DEFAULT_CAPACITY = Number(process.env.ROOM_DEFAULT_CAPACITY) || 50;
+const ROOM_MAX_CAPACITY = Number(process.env.ROOM_MAX_CAPACITY) || 500;
+const ROOM_MAX_PER_OWNER = Number(process.env.ROOM_MAX_PER_OWNER) || 10;
+const ROOM_PASSCODE_MIN_LENGTH = 4;
+const ROOM_PASSCODE_MAX_LENGTH = 32;
+// Intentos fallidos de clave antes de bloquear: por usuario en una sala y por sala (todos los usuarios)
+const ROOM_PASSCODE_MAX_FAILURES = Number(process.env.ROOM_PASSCODE_MAX_FAILURES) || 5;
+const ROOM_PASSCODE_ROOM_MAX_FAILURES = Number(process.env.ROOM_PASSCODE_ROOM_MAX_FAILURES) || 30;
+const ROOM_PASSCODE_FAILURE_WINDOW_MS = Number(process.env.ROOM_PASSCODE_FAILURE_WINDOW_MS) || 10 * 60 * 1000;
+const ROOM_PASSCODE_LOCKOUT_MS = Number(process.env.ROOM_PASSCODE_LOCKOUT_MS) || 15 * 60 * 1000;
+const ROOM_ACCESS_MESSAGES = {
+  BANNED: "Fuiste expulsado de este canal",
+  PASSCODE_REQUIRED: "Este canal requiere clave",
+  INVALID_PASSCODE: "Clave incorrecta",
+  PASSCODE_LOCKED: "Demasiados intentos con clave incorrecta; probá más tarde",
+  INVITE_REQUIRED: "Canal privado: necesitás una invitación o pedir acceso",
+  NOT_EMERGENCY_PARTY: "Solo la víctima, sus ayudantes confirmados y administradores pueden entrar",
+};
+
+// ============================================================
+// 💌 CONFIGURACIÓN DE MENSAJES DIRECTOS
+// ============================================================
+const DM_HISTORY_PAGE_SIZE = Number(process.env.DM_HISTORY_PAGE_SIZE) || 50;
+const DM_INBOX_PAGE_SIZE = Number(process.env.DM_INBOX_PAGE_SIZE) || 30;
+const DM_MAX_PAGE_SIZE = 100;
+
+const CONFERENCE_MAX_PARTICIPANTS = Number(process.env.CONFERENCE_MAX_PARTICIPANTS) || 6; // mesh: cada uno sube N-1 flujos
+
+const SERVER_INSTANCE_ID = uuidv4(); // identifica locks tomados por este proceso
+
+const getEmergencyLockRef = (userId) =>
+  db.collection(COLLECTIONS.LOCKS).doc(`emergency_${userId}`);
+
+// ============================================================
+// 🔐 CONFIGURACIÓN DE AUTENTICACIÓN (FIREBASE ID TOKEN)
+// ============================================================
+// Solo para desarrollo local: AUTH_REQUIRED=false vuelve a confiar en el userId del payload.
+const AUTH_REQUIRED = process.env.AUTH_REQUIRED !== "false";
+
+// Campo del payload que identifica a quien emite cada evento (por defecto `userId`).
+// Deben coincidir con el UID verificado del socket.
+const SOCKET_IDENTITY_FIELDS = {
+  "user-connected": ["id"],
+  help_confirm: ["helperId"],
+  help_withdraw: ["helperId"],
+  helper_arrived: ["helperId"],
+  update_helper_location: ["helperId"],
+  request_victim_location: ["helperId"],
+  helper_driving_status: ["helperId"],
+  help_reject: ["emergencyUserId"], // lo emite la víctima; helperId es el rechazado
+  call_offer: ["callerId"],
+  get_profile: [],                  // lectura del perfil de otro usuario
+};
+
+// Roles: custom claim `role` del token o campo `role` en users/{userId}
+const ROLES = { ADMIN: "admin", MODERATOR: "moderator", USER: "user" };
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: [
+    "emergencies:read_all",
+    "emergencies:force_resolve",
+    "transcripts:delete_any",
+    "users:read_any",
+    "users:manage_any",
+    "fcm:diagnostics",
+    "fcm:cleanup",
+    "rooms:manage_any",
+    "emergencies:join_any",
+  ],
+  [ROLES.MODERATOR]: ["emergencies:read_all", "users:read_any", "rooms:manage_any"],
+  [ROLES.USER]: [],
+};
+const ROLE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Eventos que un rol con permiso puede emitir en nombre de otro usuario (payload.force === true)
+const SOCKET_FORCE_PERMISSIONS = {
+  emergency_resolve: "emergencies:force_resolve",
+};
+
+// ============================================================
+// 🚦 CONFIGURACIÓN DE RATE LIMITING (TOKEN BUCKETS)
+// ============================================================
+// capacity = ráfaga máxima, refillPerSec = tokens recuperados por segundo.
+// RATE_LIMITS_JSON permite pisar cualquier entrada, ej: {"send_message":{"capacity":20,"refillPerSec":2}}
+const RATE_LIMITS = {
+  default: { capacity: 30, refillPerSec: 10 },
+  rest: { capacity: 60, refillPerSec: 5 },
+  send_message: { capacity: 10, refillPerSec: 1 },
+  audio_message: { capacity: 5, refillPerSec: 0.2 },
+  direct_message: { capacity: 10, refillPerSec: 1 },
+  direct_audio_message: { capacity: 5, refillPerSec: 0.2 },
+  emergency_alert: { capacity: 3, refillPerSec: 1 / 60 },
+  ptt_stream_chunk: { capacity: 100, refillPerSec: 60 }, // frames de ~20-100 ms
+  update_location: { capacity: 20, refillPerSec: 5 },
+  update_emergency_location: { capacity: 20, refillPerSec: 5 },
+  update_helper_location: { capacity: 20, refillPerSec: 5 },
+  ...(() => {
+    try {
+      return JSON.parse(process.env.RATE_LIMITS_JSON || "{}");
+    } catch (_) {
+      console.warn(`${colors.yellow}⚠️ RATE_LIMITS_JSON inválido, se usan los valores por defecto${colors.reset}`);
+      return {};
+    }
+  })(),
+};
+const RATE_LIMIT_IP_MULTIPLIER = Number(process.env.RATE_LIMIT_IP_MULTIPLIER) || 5; // varios usuarios detrás de un NAT
+const RATE_LIMIT_MUTE_THRESHOLD = Number(process.env.RATE_LIMIT_MUTE_THRESHOLD) || 20; // violaciones por ventana
+const RATE_LIMIT_MUTE_WINDOW_MS = Number(process.env.RATE_LIMIT_MUTE_WINDOW_MS) || 60 * 1000;
+const RATE_LIMIT_MUTE_MS = Number(process.env.RATE_LIMIT_MUTE_MS) || 60 * 1000;
+// Nunca silenciados: la víctima siempre puede pedir ayuda (emergency_alert ya tiene su propio bucket) y cerrarla
+const RATE_LIMIT_MUTE_EXEMPT_EVENTS = new Set(["emergency_alert", "emergency_resolve"]);
+// Proxies propios delante del servidor; con 0, X-Forwarded-For lo escribe el cliente y se ignora
+const TRUST_PROXY_HOPS = Number(process.env.TRUST_PROXY_HOPS) || 0;
+app.set("trust proxy", TRUST_PROXY_HOPS); // req.ip sigue la misma regla que rateLimiter.clientIp
+
+// ============================================================
+// 📐 ESQUEMAS DE VALIDACIÓN (EVENTOS DE SOCKET Y CUERPOS REST)
+// ============================================================
+// Formato de cada campo y helpers `field.*`: lib/validation.js
+const MAX_DATA_URL_LENGTH = 20 * 1024 * 1024; // dentro del límite de 25mb de express.json
+
+const SOCKET_SCHEMAS = {
+  register_fcm_token: {
+    userId: field.id({ required: true }),
+    fcmToken: field.text(4096, { required: true, min: 1 }),
+    deviceId: field.text(200),
+    platform: field.text(20),
+    deviceModel: field.text(200),
+  },
+  "user-connected": {
+    id: field.id({ required: true }),
+    username: field.text(100),
+    fullName: field.text(200),
+    email: field.text(320),
+    phone: field.text(40),
+    avatarUri: field.text(2048),
+    lat: field.lat(),
+    lng: field.lng(),
+  },
+  update_location: {
+    userId: field.id({ required: true }),
+    lat: field.lat({ required: true }),
+    lng: field.lng({ required: true }),
+    timestamp: field.timestamp(),
+  },
+  get_location_settings: {
+    userId: field.id(),
+  },
+  update_location_settings: {
+    userId: field.id(),
+    mode: field.text(20, { enum: Object.values(LOCATION_SHARING_MODES) }),
+    fuzzRadiusM: { type: "number", min: 0, max: LOCATION_FUZZ_MAX_M },
+  },
+  update_emergency_location: {
+    roomId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+    lat: field.lat({ required: true }),
+    lng: field.lng({ required: true }),
+    timestamp: field.timestamp(),
+    accuracy: field.accuracy(),
+  },
+  update_helper_location: {
+    roomId: field.id({ required: true }),
+    helperId: field.id({ required: true }),
+    emergencyUserId: field.id(),
+    lat: field.lat({ required: true }),
+    lng: field.lng({ required: true }),
+    timestamp: field.timestamp(),
+    accuracy: field.accuracy(),
+  },
+  request_victim_location: {
+    roomId: field.id({ required: true }),
+    helperId: field.id({ required: true }),
+    emergencyUserId: field.id({ required: true }),
+  },
+  helpers_location_request: {
+    roomId: field.id({ required: true }),
+    emergencyUserId: field.id({ required: true }),
+  },
+  helper_driving_status: {
+    roomId: field.id({ required: true }),
+    helperId: field.id({ required: true }),
+    emergencyUserId: field.id(),
+    isDriving: field.boolean(),
+  },
+  join_room: {
+    roomId: field.id({ required: true }),
+    userId: field.id(),
+    passcode: field.text(ROOM_PASSCODE_MAX_LENGTH),
+  },
+  leave_room: {
+    roomId: field.id({ required: true }),
+    userId: field.id(),
+  },
+  send_message: {
+    userId: field.id({ required: true }),
+    username: field.text(100, { required: true, min: 1 }),
+    text: field.text(2000, { required: true, min: 1 }),
+    roomId: field.id(),
+  },
+  audio_message: {
+    userId: field.id({ required: true }),
+    username: field.text(100, { required: true, min: 1 }),
+    roomId: field.id(),
+    audioUrl: field.text(2048),
+    audioData: field.text(MAX_DATA_URL_LENGTH),
+    audioDataUrl: field.text(MAX_DATA_URL_LENGTH),
+    mime: field.text(100),
+    ext: field.text(10),
+    durationMs: { type: "number", min: 0 },
+  },
+  direct_message: {
+    userId: field.id({ required: true }),
+    username: field.text(100, { required: true, min: 1 }),
+    targetUserId: field.id({ required: true }),
+    text: field.text(2000, { required: true, min: 1 }),
+  },
+  direct_audio_message: {
+    userId: field.id({ required: true }),
+    username: field.text(100, { required: true, min: 1 }),
+    targetUserId: field.id({ required: true }),
+    audioUrl: field.text(2048),
+    audioData: field.text(MAX_DATA_URL_LENGTH),
+    audioDataUrl: field.text(MAX_DATA_URL_LENGTH),
+    mime: field.text(100),
+    ext: field.text(10),
+    durationMs: { type: "number", min: 0 },
+  },
+  direct_history: {
+    userId: field.id({ required: true }),
+    targetUserId: field.id({ required: true }),
+    before: field.timestamp(),
+    limit: { type: "number", integer: true, min: 1, max: DM_MAX_PAGE_SIZE },
+  },
+  direct_inbox: {
+    userId: field.id({ required: true }),
+    limit: { type: "number", integer: true, min: 1, max: DM_MAX_PAGE_SIZE },
+  },
+  direct_mark_read: {
+    userId: field.id({ required: true }),
+    targetUserId: field.id({ required: true }),
+  },
+  get_profile: {
+    userId: field.id({ required: true }),
+  },
+  update_profile: {
+    userId: field.id({ required: true }),
+    fullName: field.text(200),
+    username: field.text(100),
+    email: field.text(320),
+    phone: field.text(40),
+    avatarUri: field.text(MAX_DATA_URL_LENGTH),
+  },
+  get_users: {
+    roomId: field.id({ required: true }),
+  },
+  create_room: {
+    userId: field.id({ required: true }),
+    name: field.text(60, { required: true, min: 1 }),
+    description: field.text(300),
+    type: field.text(10, { enum: Object.values(ROOM_TYPES) }),
+    capacity: { type: "number", integer: true, min: 2, max: ROOM_MAX_CAPACITY },
+    passcode: field.text(ROOM_PASSCODE_MAX_LENGTH, { min: ROOM_PASSCODE_MIN_LENGTH }),
+  },
+  update_room: {
+    userId: field.id({ required: true }),
+    roomId: field.id({ required: true }),
+    name: field.text(60, { min: 1 }),
+    description: field.text(300),
+    type: field.text(10, { enum: Object.values(ROOM_TYPES) }),
+    capacity: { type: "number", integer: true, min: 2, max: ROOM_MAX_CAPACITY },
+    // "" quita la clave
+    passcode: field.text(ROOM_PASSCODE_MAX_LENGTH, {
+      pattern: new RegExp(`^(|.{${ROOM_PASSCODE_MIN_LENGTH},})$`),
+    }),
+  },
+  delete_room: {
+    userId: field.id({ required: true }),
+    roomId: field.id({ required: true }),
+  },
+  get_room_access: {
+    userId: field.id({ required: true }),
+    roomId: field.id({ required: true }),
+  },
+  room_invite: {
+    userId: field.id({ required: true }),
+    roomId: field.id({ required: true }),
+    targetUserId: field.id({ required: true }),
+  },
+  room_join_request: {
+    userId: field.id({ required: true }),
+    roomId: field.id({ required: true }),
+    message: field.text(200),
+  },
+  room_join_response: {
+    userId: field.id({ required: true }),
+    roomId: field.id({ required: true }),
+    targetUserId: field.id({ required: true }),
+    approve: field.boolean({ required: true }),
+  },
+  room_kick: {
+    userId: field.id({ required: true }),
+    roomId: field.id({ required: true }),
+    targetUserId: field.id({ required: true }),
+    ban: field.boolean(),
+    reason: field.text(200),
+  },
+  room_unban: {
+    userId: field.id({ required: true }),
+    roomId: field.id({ required: true }),
+    targetUserId: field.id({ required: true }),
+  },
+  ptt_request_floor: {
+    roomId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+  },
+  ptt_release_floor: {
+    roomId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+  },
+  call_offer: {
+    callerId: field.id({ required: true }),
+    calleeId: field.id({ required: true }),
+    sdp: { type: ["object", "string"], required: true },
+    callType: field.text(10, { enum: ["audio", "video"] }),
+    emergencyUserId: field.id(),
+  },
+  call_answer: {
+    callId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+    sdp: { type: ["object", "string"], required: true },
+  },
+  call_ice_candidate: {
+    callId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+    candidate: { type: ["object", "string"], required: true },
+  },
+  call_hangup: {
+    callId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+  },
+  conference_join: {
+    roomId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+    muted: field.boolean(),
+  },
+  conference_signal: {
+    roomId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+    targetUserId: field.id({ required: true }),
+    type: field.text(10, { required: true, enum: ["offer", "answer", "ice"] }),
+    sdp: { type: ["object", "string"] },
+    candidate: { type: ["object", "string"] },
+  },
+  conference_mute: {
+    roomId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+    muted: { type: "boolean", required: true },
+  },
+  conference_leave: {
+    roomId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+  },
+  conference_remove_participant: {
+    roomId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+    targetUserId: field.id({ required: true }),
+  },
+  ptt_stream_start: {
+    roomId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+    mime: field.text(100, { pattern: /^audio\// }),
+  },
+  ptt_stream_chunk: {
+    streamId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+    seq: { type: "number", integer: true, min: 0, required: true },
+    data: { type: ["string", "buffer"], min: 1, max: Math.ceil(PTT_STREAM_MAX_CHUNK_BYTES / 3) * 4, required: true },
+  },
+  ptt_stream_end: {
+    streamId: field.id({ required: true }),
+    userId: field.id({ required: true }),
+    durationMs: { type: "number", min: 0 },
+  },
+  emergency_alert: {
+    userId: field.id({ required: true }),
+    userName: field.text(100, { required: true, min: 1 }),
+    latitude: field.lat({ required: true }),
+    longitude: field.lng({ required: true }),
+    timestamp: field.timestamp(),
+    emergencyType: field.text(50),
+  },
+  help_confirm: {
+    emergencyUserId: field.id({ required: true }),
+    helperId: field.id({ required: true }),
+    helperName: field.text(100),
+    latitude: field.lat(),
+    longitude: field.lng(),
+    timestamp: field.timestamp(),
+  },
+  help_reject: {
+    emergencyUserId: field.id({ required: true }),
+    helperId: field.id({ required: true }),
+  },
+  helper_arrived: {
+    emergencyUserId: field.id({ required: true }),
+    helperId: field.id({ required: true }),
+    helperName: field.text(100),
+  },
+  help_withdraw: {
+    emergencyUserId: field.id({ required: true }),
+    helperId: field.id({ required: true }),
+    reason: field.text(200),
+  },
+  emergency_resolve: {
+    userId: field.id({ required: true }),
+    force: field.boolean(),
+    reason: field.text(200),
+  },
+};
+
+const REST_SCHEMAS = {
+  "PUT /users/:userId/location-settings": {
+    mode: field.text(20, { enum: Object.values(LOCATION_SHARING_MODES) }),
+    fuzzRadiusM: { type: "number", min: 0, max: LOCATION_FUZZ_MAX_M },
+  },
+  "POST /rooms": {
+    userId: field.id({ required: !AUTH_REQUIRED }), // con auth, el dueño es el usuario del token
+    name: field.text(60, { required: true, min: 1 }),
+    description: field.text(300),
+    type: field.text(10, { enum: Object.values(ROOM_TYPES) }),
+    capacity: { type: "number", integer: true, min: 2, max: ROOM_MAX_CAPACITY },
+    passcode: SOCKET_SCHEMAS.create_room.passcode,
+  },
+  "PATCH /rooms/:roomId": {
+    userId: field.id({ required: !AUTH_REQUIRED }),
+    name: field.text(60, { min: 1 }),
+    description: field.text(300),
+    type: field.text(10, { enum: Object.values(ROOM_TYPES) }),
+    capacity: { type: "number", integer: true, min: 2, max: ROOM_MAX_CAPACITY },
+    passcode: SOCKET_SCHEMAS.update_room.passcode,
+  },
+  "DELETE /rooms/:roomId": {
+    userId: field.id({ required: !AUTH_REQUIRED }),
+  },
+  "POST /fcm/cleanup-tokens": {
+    userId: field.id({ required: true }),
+    invalidTokens: { type: "array", required: true, max: 500, items: field.text(4096) },
+  },
+  "POST /fcm/refresh-token": {
+    userId: field.id({ required: true }),
+    oldToken: field.text(4096),
+    newToken: field.text(4096, { required: true, min: 1 }),
+    deviceId: field.text(200),
+  },
+  "POST /vehicles": VEHICLE_BODY_SCHEMA,
+  "POST /vehicles/:userId/primary": {
+    vehicleId: field.id({ required: true }),
+  },
+  "POST /vehicles/photo": {
+    userId: field.id({ required: true }),
+    vehicleId: field.id({ required: true }),
+    imageData: field.text(MAX_DATA_URL_LENGTH, { required: true, pattern: /^data:image\/[a-zA-Z0-9.+-]+;base64,/i }),
+  },
+};
 
 // ============================================================
 // 🗃️ ESTADO EN MEMORIA
@@ -87,40 +695,63 @@ const LOCK_TTL_MS = 5 * 60 * 1000; // 5 minutos (ajustable)
 const state = {
   connectedUsers: new Map(),        // userId -> { userData, sockets }
   emergencyAlerts: new Map(),       // userId -> emergencyData
-  emergencyHelpers: new Map(),      // emergencyUserId -> Set(helperUserIds)
+  emergencyHelpers: new Map(),      // emergencyUserId -> Set(helperUserIds) (solo ayudantes activos)
+  emergencyRosters: new Map(),      // emergencyUserId -> { helpers: Map(helperId -> entry), waitlist: [helperId] }
+  helperTrails: new Map(),          // emergencyUserId -> Map(helperId -> [{ lat, lng, ts }])
+  locationBuffers: new Map(),       // incidentId -> { adds: [], merges: Map, lastPersisted: Map, timer }
+  locationSettings: new Map(),      // userId -> { mode, fuzzRadiusM }
+  userRoles: new Map(),             // userId -> { role, loadedAt } (rol desde users/{userId})
+  passcodeFailures: new Map(),      // "roomId:userId" | roomId -> { count, firstAt, lockedUntil }
+  rateBuckets: new Map(),           // "user:evento:id" | "ip:evento:ip" -> { tokens, updatedAt }
+  pttFloors: new Map(),             // roomId -> { talker, queue: [{ userId, socketId, priority }], timer }
+  pttStreams: new Map(),            // streamId -> { roomId, userId, socketId, chunks: Map(seq -> Buffer), idleTimer }
+  calls: new Map(),                 // callId -> { callerId, calleeId, status, offer, ringTimer }
+  userCalls: new Map(),             // userId -> callId (llamada sonando o en curso)
+  conferences: new Map(),           // emergencyRoomId -> { victimId, participants: Map(userId -> { socketId, muted }), removed }
   chatRooms: new Map(),             // roomId -> roomData
-  emergencyUserRoom: new Map()      // userId -> emergencyRoomId
+  emergencyUserRoom: new Map(),     // userId -> emergencyRoomId
+  emergencyHeartbeats: new Map(),   // userId -> último heartbeat persistido en el lock
+  pendingEmergencyDisconnects: new Map(), // userId -> { timer, tickTimer, deadline, roomId }
+  emergencyBroadcasts: new Map(),   // userId -> { ringIndex, notified:Set, timer }
+  emergencyEscalations: new Map(),  // userId -> { stepIndex, timer, startedAt }
+  geoCells: new Map(),              // precisión -> Map(prefijo geohash -> Set<userId>)
+  userGeohashes: new Map()          // userId -> { hash, lat, lng, ts }
 };
 
 // ============================================================
-// 🔒 ADQUIRIR LOCK DE EMERGENCIA (LOCKS/active_emergency) - ROBUSTO
+// 🔒 ADQUIRIR LOCK DE EMERGENCIA (LOCKS/emergency_{userId}) - ROBUSTO
 // ============================================================
 async function acquireEmergencyLock(
-  { userId, roomId, emergencyType = "general", reason = "create_emergency" } = {}
+  { userId, roomId, incidentId = null, emergencyType = "general", reason = "create_emergency" } = {}
 ) {
   if (!userId) throw new Error("acquireEmergencyLock: userId requerido");
 
   const now = Date.now();
   const normalizedRoomId = roomId || `emergencia_${userId}`;
+  const lockRef = getEmergencyLockRef(userId);
 
   return await db.runTransaction(async (tx) => {
-    const snap = await tx.get(LOCK_REF);
+    const snap = await tx.get(lockRef);
+
+    const activeLock = {
+      active: true,
+      userId,
+      roomId: normalizedRoomId,
+      incidentId,
+      emergencyType,
+      startedAt: now,
+      acquiredAt: now,
+      lastTouchAt: now,
+      lastHeartbeatAt: now,
+      acquireReason: reason,
+      instanceId: SERVER_INSTANCE_ID,
+      releasedAt: null,
+      releaseReason: null,
+    };
 
     // ✅ Si no existe, lo creamos como ACTIVO
     if (!snap.exists) {
-      tx.set(LOCK_REF, {
-        active: true,
-        userId,
-        roomId: normalizedRoomId,
-        emergencyType,
-        startedAt: now,
-        acquiredAt: now,
-        acquireReason: reason,
-        releasedAt: null,
-        releaseReason: null,
-        replacedStaleLock: false,
-        previousLock: null,
-      });
+      tx.set(lockRef, { ...activeLock, replacedStaleLock: false, previousLock: null });
       return { ok: true, staleReplaced: false, created: true };
     }
 
@@ -133,94 +764,82 @@ async function acquireEmergencyLock(
     // ✅ Si está activo pero NO tiene startedAt válido → tratar como stale
     const staleByMissingStartedAt = isActive && startedAt === 0;
 
-    const staleByTTL =
-      isActive && startedAt > 0 && (now - startedAt) > LOCK_TTL_MS;
+    const lastHeartbeatAt =
+      typeof lock.lastHeartbeatAt === "number" && lock.lastHeartbeatAt > 0
+        ? lock.lastHeartbeatAt
+        : startedAt;
 
-    const stale = staleByMissingStartedAt || staleByTTL;
+    const staleByTTL =
+      isActive && startedAt > 0 && (now - lastHeartbeatAt) > LOCK_TTL_MS;
 
-    // ✅ Idempotente: si el lock activo ya es del MISMO userId, lo "renovamos"
-    if (isActive && !stale && lock.userId === userId) {
-      tx.update(LOCK_REF, {
-        active: true,
-        userId,
-        roomId: normalizedRoomId,
-        emergencyType,
-        startedAt: startedAt || now,
-        acquiredAt: lock.acquiredAt || now,
-        lastTouchAt: now,
-        acquireReason: reason,
-      });
+    // ✅ Lock tomado por otra instancia del servidor (reinicio/crash): el estado
+    // en memoria de esa emergencia ya no existe, así que no puede seguir viva
+    const staleByRestart =
+      isActive && !state.emergencyAlerts.has(userId) && lock.instanceId !== SERVER_INSTANCE_ID;
 
-      return {
-        ok: true,
-        staleReplaced: false,
-        alreadyOwned: true,
-        lock: { ...lock, roomId: normalizedRoomId },
-      };
-    }
+    const stale = staleByMissingStartedAt || staleByTTL || staleByRestart;
 
-    // ❌ Lock activo y NO stale => bloquear
+    // ❌ Lock activo y NO stale => el usuario ya tiene una emergencia en curso
     if (isActive && !stale) {
       return {
         ok: false,
         code: "LOCK_ACTIVE",
-        message: `Ya hay una emergencia activa (userId=${lock.userId || "?"})`,
+        message: `El usuario ${userId} ya tiene una emergencia activa`,
         lock,
       };
     }
 
-    // ✅ Stale: reemplazarlo
-    tx.update(LOCK_REF, {
-      active: true,
-      userId,
-      roomId: normalizedRoomId,
-      emergencyType,
-      startedAt: now,
-      acquiredAt: now,
-      lastTouchAt: now,
-      acquireReason: reason,
-      releasedAt: null,
-      releaseReason: null,
-      replacedStaleLock: true,
-      previousLock: {
-        ...lock,
-        replacedAt: now,
-        replacedBy: userId,
-        replacedRoomId: normalizedRoomId,
-        staleByMissingStartedAt,
-        staleByTTL,
-      },
+    // ✅ Libre o stale: (re)tomarlo
+    tx.set(lockRef, {
+      ...activeLock,
+      replacedStaleLock: stale,
+      previousLock: stale
+        ? {
+            ...lock,
+            replacedAt: now,
+            replacedRoomId: normalizedRoomId,
+            staleByMissingStartedAt,
+            staleByTTL,
+            staleByRestart,
+          }
+        : lock.previousLock || null,
     });
 
     return {
       ok: true,
-      staleReplaced: true,
+      staleReplaced: stale,
       staleByMissingStartedAt,
       staleByTTL,
-      previousLockUserId: lock.userId || null,
+      staleByRestart,
     };
   });
 }
 
 // ============================================================
-// 🔓 LIBERAR LOCK DE EMERGENCIA (LOCKS/active_emergency)
+// 🔓 LIBERAR LOCK DE EMERGENCIA (LOCKS/emergency_{userId})
 // ============================================================
 async function releaseEmergencyLock(
-  { userId = null, roomId = null, reason = "manual_or_system", force = false } = {}
+  { userId = null, roomId = null, reason = "manual_or_system" } = {}
 ) {
+  if (!userId) {
+    console.warn(`${colors.yellow}⚠️ releaseEmergencyLock: userId requerido${colors.reset}`);
+    return { ok: false, code: "USER_REQUIRED" };
+  }
+
   const now = Date.now();
+  const lockRef = getEmergencyLockRef(userId);
 
   try {
     const result = await db.runTransaction(async (tx) => {
-      const snap = await tx.get(LOCK_REF);
+      const snap = await tx.get(lockRef);
 
       // ✅ Si no existe, lo creamos liberado (auto-heal)
       if (!snap.exists) {
-        tx.set(LOCK_REF, {
+        tx.set(lockRef, {
           active: false,
           releasedAt: now,
           releaseReason: reason,
-          userId: null,
+          userId,
           roomId: null,
           emergencyType: "general",
           previousLock: null,
@@ -237,18 +856,11 @@ async function releaseEmergencyLock(
         return { ok: true, alreadyReleased: true, current: lock };
       }
 
-      // ✅ Seguridad: si lock pertenece a otro userId, no liberar salvo force
-      if (!force && userId && lock.userId && lock.userId !== userId) {
-        console.log(
-          `${colors.yellow}⚠️ releaseEmergencyLock: NO libero (lock de otro usuario). lockUser=${lock.userId} userId=${userId}${colors.reset}`
-        );
-        return { ok: false, code: "LOCK_OTHER_USER", lockUserId: lock.userId, current: lock };
-      }
-
       const previous = {
         active: true,
-        userId: lock.userId || null,
+        userId: lock.userId || userId,
         roomId: lock.roomId || null,
+        incidentId: lock.incidentId || null,
         emergencyType: lock.emergencyType || "general",
         startedAt: lock.startedAt || null,
         replacedStaleLock: lock.replacedStaleLock || false,
@@ -256,20 +868,18 @@ async function releaseEmergencyLock(
         releaseReason: lock.releaseReason || null,
       };
 
-      tx.update(LOCK_REF, {
+      tx.update(lockRef, {
         active: false, // ✅ CLAVE
         releasedAt: now,
         releaseReason: reason,
-        releasedBy: userId || null,
         releasedRoomId: roomId || null,
-        userId: null,
         roomId: null,
+        incidentId: null,
         emergencyType: "general",
         previousLock: {
           ...previous,
           releasedAt: now,
           releaseReason: reason,
-          releasedBy: userId || null,
           releasedRoomId: roomId || null,
         },
       });
@@ -280,7 +890,6 @@ async function releaseEmergencyLock(
     if (result?.ok && result?.updated) {
       console.log(`${colors.green}🔓 Lock liberado (active=false)${colors.reset}`, {
         reason,
-        force,
         userId,
         roomId,
       });
@@ -299,6 +908,132 @@ async function releaseEmergencyLock(
   }
 }
 
+// ============================================================
+// 🆔 INCIDENTES DE EMERGENCIA (emergencies/{incidentId})
+// ============================================================
+// Cada emergency_alert crea un incidente propio; users/{id}.currentEmergencyId
+// apunta al incidente en curso.
+const getEmergencyIncidentRef = (incidentId) =>
+  db.collection(COLLECTIONS.EMERGENCIES).doc(incidentId);
+
+const getActiveIncidentId = (userId) =>
+  state.emergencyAlerts.get(userId)?.incidentId || null;
+
+// Memoria → lock → documento de usuario (para limpiezas tras un reinicio)
+async function resolveEmergencyIncidentId(userId) {
+  const fromMemory = getActiveIncidentId(userId);
+  if (fromMemory) return fromMemory;
+
+  try {
+    const lockSnap = await getEmergencyLockRef(userId).get();
+    const fromLock = lockSnap.exists ? lockSnap.data()?.incidentId : null;
+    if (fromLock) return fromLock;
+
+    const userSnap = await db.collection(COLLECTIONS.USERS).doc(userId).get();
+    return userSnap.exists ? userSnap.data()?.currentEmergencyId || null : null;
+  } catch (e) {
+    console.warn(`${colors.yellow}⚠️ No se pudo resolver el incidente de ${userId}:${colors.reset}`, e.message);
+    return null;
+  }
+}
+
+// ============================================================
+// 🚦 CICLO DE VIDA DE EMERGENCIAS (MÁQUINA DE ESTADOS)
+// ============================================================
+// Estados y transiciones permitidas: lib/emergencyStates.js
+const { EMERGENCY_STATES } = emergencyStates;
+
+// Motivos de cierre que no dependen de una decisión de la víctima
+const EXPIRY_END_REASONS = new Set(["heartbeat_timeout", "reconnect_grace_expired"]);
+
+// Estados escritos antes de la máquina de estados
+const LEGACY_EMERGENCY_STATUS = { active: EMERGENCY_STATES.RAISED };
+
+const emergencyLifecycle = {
+  isTerminal: emergencyStates.isTerminal,
+
+  canTransition: emergencyStates.canTransition,
+
+  // Registra el estado inicial (null → raised) de un incidente recién creado
+  start: async (userId, { actor = userId } = {}) => {
+    return emergencyLifecycle._apply(userId, null, EMERGENCY_STATES.RAISED, { actor, reason: "emergency_alert" });
+  },
+
+  transition: async (userId, to, { actor = "system", reason = null, incidentId = null, roomId = null } = {}) => {
+    const emergencyData = state.emergencyAlerts.get(userId);
+    let from = emergencyData?.status || null;
+
+    // Emergencia fuera de memoria (p.ej. tras un reinicio): leer el estado persistido
+    if (!emergencyData && incidentId) {
+      try {
+        const snap = await getEmergencyIncidentRef(incidentId).get();
+        from = snap.exists ? snap.data()?.status || null : null;
+      } catch (e) {
+        console.warn(`${colors.yellow}⚠️ No se pudo leer estado del incidente ${incidentId}:${colors.reset}`, e.message);
+      }
+    }
+    from = LEGACY_EMERGENCY_STATUS[from] || from;
+
+    if (from === to) return { ok: true, unchanged: true, from, to };
+
+    if (!emergencyLifecycle.canTransition(from, to)) {
+      console.warn(
+        `${colors.yellow}⛔ Transición de emergencia inválida para ${userId}: ${from} → ${to}${colors.reset}`
+      );
+      return { ok: false, code: "INVALID_TRANSITION", from, to };
+    }
+
+    return emergencyLifecycle._apply(userId, from, to, { actor, reason, incidentId, roomId });
+  },
+
+  _apply: async (userId, from, to, { actor, reason, incidentId = null, roomId = null }) => {
+    const emergencyData = state.emergencyAlerts.get(userId);
+    const now = Date.now();
+    const resolvedIncidentId = incidentId || emergencyData?.incidentId || null;
+    const resolvedRoomId = roomId || emergencyData?.emergencyRoomId || `emergencia_${userId}`;
+    const isActive = !emergencyLifecycle.isTerminal(to);
+
+    if (emergencyData) {
+      emergencyData.status = to;
+      emergencyData.statusUpdatedAt = now;
+    }
+
+    const transition = {
+      from,
+      to,
+      actor: actor || "system",
+      reason: reason || null,
+      timestamp: now,
+    };
+
+    if (resolvedIncidentId) {
+      try {
+        const incidentRef = getEmergencyIncidentRef(resolvedIncidentId);
+        await incidentRef.collection("transitions").add(transition);
+        await incidentRef.set({
+          status: to,
+          statusUpdatedAt: now,
+          isActive,
+        }, { merge: true });
+      } catch (e) {
+        console.warn(`${colors.yellow}⚠️ No se pudo registrar transición ${from} → ${to}:${colors.reset}`, e.message);
+      }
+    }
+
+    io.emit("emergency_state_changed", {
+      incidentId: resolvedIncidentId,
+      userId,
+      userName: emergencyData?.userName || null,
+      roomId: resolvedRoomId,
+      ...transition,
+      isActive,
+    });
+
+    console.log(`${colors.magenta}🚦 Emergencia ${userId}: ${from || "∅"} → ${to} (actor=${transition.actor})${colors.reset}`);
+    return { ok: true, from, to };
+  },
+};
+
 // ============================================================
 // 🧹 FUNCIÓN PARA LIMPIAR EMERGENCIA (VERSIÓN CORREGIDA)
 // ============================================================
@@ -331,6 +1066,47 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
     const roomIdToClean = actualRoomId;
     const safeUserName = username || state.emergencyAlerts.get(userId)?.userName || "Usuario desconocido";
 
+    // Si no hay incidente conocido se crea uno nuevo para dejar registro del cierre
+    const incidentId =
+      (await resolveEmergencyIncidentId(userId)) ||
+      db.collection(COLLECTIONS.EMERGENCIES).doc().id;
+
+    // 2. NOTIFICAR A TODOS (emergency_state_changed) ANTES DE LIMPIAR LA SALA
+    const finalState = EXPIRY_END_REASONS.has(reason)
+      ? EMERGENCY_STATES.EXPIRED
+      : EMERGENCY_STATES.CANCELLED;
+
+    const transition = await emergencyLifecycle.transition(userId, finalState, {
+      actor: "system",
+      reason,
+      incidentId,
+      roomId: roomIdToClean,
+    });
+
+    if (!transition.ok && transition.from === null) {
+      // Incidente desconocido (sin estado en memoria ni en Firestore): se registra el cierre igual
+      await emergencyLifecycle._apply(userId, null, finalState, { actor: "system", reason, incidentId, roomId: roomIdToClean });
+    } else if (!transition.ok || transition.unchanged) {
+      // Ya estaba cerrada (resolve previo u otra limpieza): no se repite el cierre; solo se
+      // descartan restos en memoria y un lock que haya quedado apuntando al incidente cerrado
+      console.log(`${colors.yellow}⏭️ Emergencia de ${userId} ya cerrada (${transition.from}), solo se descartan restos${colors.reset}`);
+      await releaseEmergencyLock({ userId, roomId: roomIdToClean, reason: `${reason}_already_closed` })
+        .catch((e) => console.warn(`${colors.yellow}⚠️ Error liberando lock:${colors.reset}`, e.message));
+      clearEmergencyReconnectGrace(userId);
+      emergencyBroadcast.stop(userId);
+      emergencyEscalation.stop(userId);
+      state.emergencyAlerts.delete(userId);
+      state.emergencyHelpers.delete(userId);
+      helperRoster.clear(userId);
+      state.emergencyUserRoom.delete(userId);
+      state.emergencyHeartbeats.delete(userId);
+      global.cleanupInProgress.delete(userId);
+      return false;
+    }
+
+    // Escribir las ubicaciones pendientes antes de cerrar el incidente
+    await locationPipeline.close(incidentId);
+
     // ============================================================
     // 🔥 FORZAR SALIDA DE SOCKETS DE LA SALA DE EMERGENCIA
     // ============================================================
@@ -352,37 +1128,21 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
       });
     }
 
-    // 2. LIMPIAR ESTADO INTERNO PRIMERO
+    // 3. LIMPIAR ESTADO INTERNO
+    clearEmergencyReconnectGrace(userId);
+    emergencyBroadcast.stop(userId);
+    emergencyEscalation.stop(userId);
     state.emergencyAlerts.delete(userId);
     state.emergencyHelpers.delete(userId);
+    helperRoster.clear(userId);
     state.emergencyUserRoom.delete(userId);
-
-    // 3. NOTIFICAR A TODOS ANTES DE LIMPIAR LA SALA
-    io.emit("emergency_cancelled", {
-      userId,
-      userName: safeUserName,
-      username: safeUserName,
-      roomId: roomIdToClean,
-      reason,
-      timestamp: Date.now(),
-      isActive: false,
-    });
+    state.emergencyHeartbeats.delete(userId);
 
     // 4. MANEJAR LA SALA DE EMERGENCIA SI EXISTE
     if (roomIdToClean) {
       console.log(`${colors.cyan}📝 Limpiando sala de emergencia: ${roomIdToClean}${colors.reset}`);
 
-      // a) Notificar a todos en la sala
-      io.to(roomIdToClean).emit("emergency_ended", {
-        roomId: roomIdToClean,
-        userId,
-        username: safeUserName,
-        reason,
-        message: `${safeUserName} finalizó la emergencia.`,
-        timestamp: Date.now(),
-      });
-
-      // b) Sacar a TODOS los sockets de la sala (no solo los del usuario)
+      // a) Sacar a TODOS los sockets de la sala (no solo los del usuario)
       const socketsInRoom = io.sockets.adapter.rooms.get(roomIdToClean);
       if (socketsInRoom) {
         const socketsArray = Array.from(socketsInRoom);
@@ -399,18 +1159,20 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
         console.log(`${colors.green}✅ ${socketsArray.length} sockets removidos de la sala ${roomIdToClean}${colors.reset}`);
       }
 
-      // c) Eliminar del estado de chatRooms si existe
+      // b) Eliminar del estado de chatRooms si existe
       if (state.chatRooms.has(roomIdToClean)) {
         state.chatRooms.delete(roomIdToClean);
       }
+      floorControl.clear(roomIdToClean);
+      conference.end(roomIdToClean, reason);
 
-      // d) Eliminar historial de chat
+      // c) Archivar transcripción y vaciar la sala en vivo
       try {
-        await deleteEmergencyChatHistory(roomIdToClean);
-        console.log(`${colors.green}🗑️ Historial de chat eliminado: ${roomIdToClean}${colors.reset}`);
+        await archiveEmergencyChatHistory(incidentId, roomIdToClean, reason);
+        console.log(`${colors.green}📜 Historial de chat archivado: ${roomIdToClean}${colors.reset}`);
       } catch (chatError) {
         console.warn(
-          `${colors.yellow}⚠️ No se pudo eliminar historial de chat:${colors.reset}`,
+          `${colors.yellow}⚠️ No se pudo archivar historial de chat (se conserva en la sala):${colors.reset}`,
           chatError.message
         );
       }
@@ -423,6 +1185,8 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
       await userRef.update({
         hasActiveEmergency: false,
         emergencyRoomId: null,
+        currentEmergencyId: null,
+        lastEmergencyId: incidentId,
         lastEmergencyEnded: Date.now(),
         lastSeen: Date.now(),
       });
@@ -438,6 +1202,8 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
           username: safeUserName,
           hasActiveEmergency: false,
           emergencyRoomId: null,
+          currentEmergencyId: null,
+          lastEmergencyId: incidentId,
           lastEmergencyEnded: Date.now(),
           lastSeen: Date.now(),
         }, { merge: true });
@@ -449,11 +1215,10 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
 
     // 6. ACTUALIZAR DOCUMENTO DE EMERGENCIA
     try {
-      const emergencyRef = db.collection(COLLECTIONS.EMERGENCIES).doc(userId);
+      const emergencyRef = getEmergencyIncidentRef(incidentId);
       const emergencyDoc = await emergencyRef.get();
 
       const endedPayload = {
-        status: "cancelled",
         endReason: reason,
         endedAt: Date.now(),
         isActive: false,
@@ -466,9 +1231,11 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
         await emergencyRef.update(endedPayload);
       } else {
         await emergencyRef.set({
+          incidentId,
           userId,
           username: safeUserName,
           startReason: "unknown",
+          status: finalState,
           startedAt: Date.now() - 60000,
           createdAt: Date.now(),
           ...endedPayload,
@@ -483,13 +1250,12 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
       );
     }
 
-    // 7. ✅ LIBERAR EL LOCK GLOBAL
+    // 7. ✅ LIBERAR EL LOCK DE LA VÍCTIMA
     try {
       await releaseEmergencyLock({
         userId,
         roomId: roomIdToClean,
         reason,
-        force: false,
       });
 
       console.log(`${colors.green}🔓 Lock de emergencia liberado${colors.reset}`);
@@ -518,7 +1284,7 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
 
     // 10. ACTUALIZAR LISTA DE USUARIOS CONECTADOS
     const connectedUsersList = Array.from(state.connectedUsers.values()).map((u) => ({
-      ...u.userData,
+      ...locationPrivacy.sanitizeUser(u.userData),
       socketCount: u.sockets.size,
       currentRoom: u.userData.currentRoom || "general"
     }));
@@ -540,9 +1306,13 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
 
     // Limpieza mínima de emergencia
     try {
+      emergencyBroadcast.stop(userId);
+      emergencyEscalation.stop(userId);
       state.emergencyAlerts.delete(userId);
       state.emergencyHelpers.delete(userId);
+      helperRoster.clear(userId);
       state.emergencyUserRoom.delete(userId);
+      state.emergencyHeartbeats.delete(userId);
     } catch (cleanupError) {
       console.error(
         `${colors.red}❌ Error incluso en limpieza mínima:${colors.reset}`,
@@ -555,13 +1325,526 @@ async function cleanupUserEmergency(userId, username, emergencyRoomId, reason =
     return false;
   }
 }
+
 // ============================================================
-// 🛠️ FUNCIONES UTILITARIAS
+// 💓 HEARTBEAT DE EMERGENCIA (RENUEVA EL LOCK DE LA VÍCTIMA)
 // ============================================================
-const utils = {
-  isHttpUrl: (str) => typeof str === "string" && /^https?:\/\//i.test(str),
-  isDataUrl: (str) => typeof str === "string" && /^data:image\/[a-zA-Z0-9.+-]+;base64,/i.test(str),
-  
+async function touchEmergencyHeartbeat(userId) {
+  const emergencyData = state.emergencyAlerts.get(userId);
+  if (!emergencyData) return false;
+
+  const now = Date.now();
+  emergencyData.lastHeartbeatAt = now;
+
+  // En memoria se renueva siempre; en Firestore solo cada HEARTBEAT_PERSIST_INTERVAL_MS
+  const lastPersisted = state.emergencyHeartbeats.get(userId) || 0;
+  if (now - lastPersisted < HEARTBEAT_PERSIST_INTERVAL_MS) return true;
+
+  state.emergencyHeartbeats.set(userId, now);
+  try {
+    await getEmergencyLockRef(userId).update({
+      lastHeartbeatAt: now,
+      lastTouchAt: now,
+    });
+  } catch (e) {
+    console.warn(`${colors.yellow}⚠️ No se pudo renovar heartbeat del lock de ${userId}:${colors.reset}`, e.message);
+  }
+  return true;
+}
+
+// ============================================================
+// ⏳ GRACIA DE RECONEXIÓN PARA VÍCTIMAS DESCONECTADAS
+// ============================================================
+function clearEmergencyReconnectGrace(userId) {
+  const pending = state.pendingEmergencyDisconnects.get(userId);
+  if (!pending) return false;
+
+  clearTimeout(pending.timer);
+  clearInterval(pending.tickTimer);
+  state.pendingEmergencyDisconnects.delete(userId);
+  return true;
+}
+
+function startEmergencyReconnectGrace(userId, username, emergencyRoomId) {
+  clearEmergencyReconnectGrace(userId);
+
+  const startedAt = Date.now();
+  const deadline = startedAt + EMERGENCY_RECONNECT_GRACE_MS;
+  const safeUserName = username || state.emergencyAlerts.get(userId)?.userName || "Usuario";
+
+  const emitCountdown = () => {
+    const remainingMs = Math.max(0, deadline - Date.now());
+    io.to(emergencyRoomId).emit("emergency_user_disconnected", {
+      userId,
+      username: safeUserName,
+      roomId: emergencyRoomId,
+      message: `${safeUserName} perdió la conexión. Esperando reconexión...`,
+      timestamp: Date.now(),
+      helpersInRoom: Array.from(state.emergencyHelpers.get(userId) || []),
+      isLastConnection: true,
+      graceMs: EMERGENCY_RECONNECT_GRACE_MS,
+      reconnectDeadline: deadline,
+      secondsRemaining: Math.ceil(remainingMs / 1000),
+    });
+  };
+
+  const timer = setTimeout(async () => {
+    clearEmergencyReconnectGrace(userId);
+    if (!state.emergencyAlerts.has(userId)) return;
+
+    console.log(`${colors.red}⌛ Víctima ${safeUserName} no se reconectó a tiempo: cancelando emergencia${colors.reset}`);
+    await cleanupUserEmergency(userId, safeUserName, emergencyRoomId, "reconnect_grace_expired");
+  }, EMERGENCY_RECONNECT_GRACE_MS);
+
+  const tickTimer = setInterval(emitCountdown, EMERGENCY_RECONNECT_TICK_MS);
+
+  state.pendingEmergencyDisconnects.set(userId, {
+    timer,
+    tickTimer,
+    startedAt,
+    deadline,
+    roomId: emergencyRoomId,
+  });
+
+  emitCountdown();
+
+  console.log(
+    `${colors.yellow}⏳ Emergencia de ${safeUserName} en espera de reconexión (${EMERGENCY_RECONNECT_GRACE_MS / 1000}s)${colors.reset}`
+  );
+}
+
+// Reincorpora el socket de una víctima a su sala de emergencia (reconexión o nuevo dispositivo)
+function resumeEmergencyForSocket(socket, userId) {
+  const emergencyData = state.emergencyAlerts.get(userId);
+  const emergencyRoomId = state.emergencyUserRoom.get(userId);
+  if (!emergencyData || !emergencyRoomId) return null;
+
+  const wasPending = clearEmergencyReconnectGrace(userId);
+
+  socket.join(emergencyRoomId);
+  socket.currentRoom = emergencyRoomId;
+
+  const room = state.chatRooms.get(emergencyRoomId);
+  if (room) room.users.add(userId);
+
+  const entry = state.connectedUsers.get(userId);
+  if (entry) entry.userData.currentRoom = emergencyRoomId;
+
+  emergencyData.socketId = socket.id;
+  emergencyData.lastHeartbeatAt = Date.now();
+
+  if (wasPending) {
+    socket.to(emergencyRoomId).emit("emergency_user_reconnected", {
+      userId,
+      username: emergencyData.userName,
+      roomId: emergencyRoomId,
+      message: `${emergencyData.userName} se reconectó`,
+      timestamp: Date.now(),
+    });
+  }
+
+  socket.emit("emergency_resumed", {
+    ...emergencyData,
+    emergencyRoomId,
+    helpers: Array.from(state.emergencyHelpers.get(userId) || []),
+    wasPendingReconnect: wasPending,
+    timestamp: Date.now(),
+  });
+
+  utils.updateRoomUserList(emergencyRoomId);
+
+  console.log(`${colors.green}🔁 Emergencia retomada por ${emergencyData.userName} en ${emergencyRoomId}${colors.reset}`);
+  return emergencyRoomId;
+}
+
+// ============================================================
+// 🧹 SWEEPER: EXPIRA EMERGENCIAS SIN HEARTBEAT
+// ============================================================
+let emergencySweepInProgress = false;
+
+async function sweepExpiredEmergencies() {
+  if (emergencySweepInProgress) return;
+  emergencySweepInProgress = true;
+
+  const now = Date.now();
+  let expired = 0;
+
+  try {
+    // 1. Emergencias en memoria cuyo heartbeat se detuvo
+    for (const [userId, emergencyData] of Array.from(state.emergencyAlerts.entries())) {
+      // Durante la ventana de reconexión decide el timer de gracia, no el sweeper
+      if (state.pendingEmergencyDisconnects.has(userId)) continue;
+
+      const lastBeat = emergencyData.lastHeartbeatAt || emergencyData.timestamp || 0;
+      if (now - lastBeat <= LOCK_TTL_MS) continue;
+
+      console.log(`${colors.red}💔 Heartbeat vencido para emergencia de ${emergencyData.userName || userId}${colors.reset}`);
+      const ok = await cleanupUserEmergency(
+        userId,
+        emergencyData.userName,
+        emergencyData.emergencyRoomId,
+        "heartbeat_timeout"
+      );
+      if (ok) expired++;
+    }
+
+    // 2. Locks huérfanos en Firestore (servidor caído sin liberar)
+    const locksSnap = await db.collection(COLLECTIONS.LOCKS)
+      .where("active", "==", true)
+      .get();
+
+    for (const doc of locksSnap.docs) {
+      if (!doc.id.startsWith("emergency_")) continue;
+
+      const lock = doc.data() || {};
+      const userId = lock.userId;
+      if (!userId || state.emergencyAlerts.has(userId)) continue;
+
+      const lastBeat = lock.lastHeartbeatAt || lock.startedAt || 0;
+      if (now - lastBeat <= LOCK_TTL_MS) continue;
+
+      console.log(`${colors.red}💔 Lock huérfano vencido: ${doc.id}${colors.reset}`);
+      const ok = await cleanupUserEmergency(
+        userId,
+        null,
+        lock.roomId || `emergencia_${userId}`,
+        "heartbeat_timeout"
+      );
+      if (ok) expired++;
+    }
+
+    if (expired > 0) {
+      console.log(`${colors.yellow}🧹 Sweeper: ${expired} emergencias expiradas por heartbeat${colors.reset}`);
+    }
+  } catch (error) {
+    console.error(`${colors.red}❌ Error en sweeper de emergencias:${colors.reset}`, error);
+  } finally {
+    emergencySweepInProgress = false;
+  }
+}
+// ============================================================
+// 🗺️ ÍNDICE GEOESPACIAL (GEOHASH) - MEMORIA + FIRESTORE
+// ============================================================
+// En memoria se indexan los usuarios conectados por prefijo de geohash (niveles 1..6);
+// en Firestore cada usuario guarda `geohash` para consultar por rango a los desconectados.
+const GEOHASH_BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+const KM_PER_DEGREE_LAT = 111.32;
+
+const geoIndex = {
+  encode: (lat, lng, precision = GEOHASH_STORE_PRECISION) => {
+    let latMin = -90, latMax = 90, lngMin = -180, lngMax = 180;
+    let hash = "", bits = 0, ch = 0, evenBit = true;
+
+    while (hash.length < precision) {
+      if (evenBit) {
+        const mid = (lngMin + lngMax) / 2;
+        if (lng >= mid) { ch = (ch << 1) | 1; lngMin = mid; } else { ch = ch << 1; lngMax = mid; }
+      } else {
+        const mid = (latMin + latMax) / 2;
+        if (lat >= mid) { ch = (ch << 1) | 1; latMin = mid; } else { ch = ch << 1; latMax = mid; }
+      }
+      evenBit = !evenBit;
+      if (++bits === 5) {
+        hash += GEOHASH_BASE32[ch];
+        bits = 0;
+        ch = 0;
+      }
+    }
+    return hash;
+  },
+
+  // Tamaño en grados de una celda para una precisión dada
+  cellSize: (precision) => {
+    const totalBits = precision * 5;
+    const lngBits = Math.ceil(totalBits / 2);
+    const latBits = Math.floor(totalBits / 2);
+    return { latDeg: 180 / 2 ** latBits, lngDeg: 360 / 2 ** lngBits };
+  },
+
+  // Celdas (centro + 8 vecinas) que cubren un círculo de radiusKm
+  coverCells: (lat, lng, radiusKm, maxPrecision = GEOHASH_STORE_PRECISION) => {
+    const cosLat = Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+    let precision = 1;
+
+    for (let p = maxPrecision; p >= 1; p--) {
+      const { latDeg, lngDeg } = geoIndex.cellSize(p);
+      const minSideKm = Math.min(latDeg * KM_PER_DEGREE_LAT, lngDeg * KM_PER_DEGREE_LAT * cosLat);
+      if (minSideKm >= radiusKm) {
+        precision = p;
+        break;
+      }
+    }
+
+    const { latDeg, lngDeg } = geoIndex.cellSize(precision);
+    const cells = new Set();
+    for (const dLat of [-latDeg, 0, latDeg]) {
+      for (const dLng of [-lngDeg, 0, lngDeg]) {
+        const nLat = Math.max(-89.999999, Math.min(89.999999, lat + dLat));
+        const nLng = ((lng + dLng + 540) % 360) - 180;
+        cells.add(geoIndex.encode(nLat, nLng, precision));
+      }
+    }
+    return { precision, cells: Array.from(cells) };
+  },
+
+  // Campos a persistir en users/{userId} junto con la ubicación
+  locationPatch: (loc) => ({
+    lastKnownLocation: loc,
+    geohash: geoIndex.encode(loc.lat, loc.lng),
+    lastLocationUpdatedAt: Date.now(),
+  }),
+
+  upsert: (userId, lat, lng, ts = Date.now()) => {
+    const hash = geoIndex.encode(lat, lng, GEOHASH_INDEX_MAX_PRECISION);
+    const previous = state.userGeohashes.get(userId);
+
+    if (previous?.hash !== hash) {
+      if (previous) geoIndex.remove(userId);
+      for (let p = 1; p <= GEOHASH_INDEX_MAX_PRECISION; p++) {
+        if (!state.geoCells.has(p)) state.geoCells.set(p, new Map());
+        const level = state.geoCells.get(p);
+        const prefix = hash.slice(0, p);
+        if (!level.has(prefix)) level.set(prefix, new Set());
+        level.get(prefix).add(userId);
+      }
+    }
+    state.userGeohashes.set(userId, { hash, lat, lng, ts });
+  },
+
+  remove: (userId) => {
+    const previous = state.userGeohashes.get(userId);
+    if (!previous) return;
+
+    for (let p = 1; p <= GEOHASH_INDEX_MAX_PRECISION; p++) {
+      const level = state.geoCells.get(p);
+      const prefix = previous.hash.slice(0, p);
+      const bucket = level?.get(prefix);
+      if (!bucket) continue;
+      bucket.delete(userId);
+      if (bucket.size === 0) level.delete(prefix);
+    }
+    state.userGeohashes.delete(userId);
+  },
+
+  // Usuarios indexados en memoria dentro del radio, ordenados por distancia
+  queryRadius: (lat, lng, radiusKm) => {
+    const { precision, cells } = geoIndex.coverCells(lat, lng, radiusKm, GEOHASH_INDEX_MAX_PRECISION);
+    const level = state.geoCells.get(precision);
+    const results = [];
+    if (!level) return results;
+
+    cells.forEach((cell) => {
+      level.get(cell)?.forEach((userId) => {
+        const loc = state.userGeohashes.get(userId);
+        const distanceKm = utils.calculateDistance(lat, lng, loc.lat, loc.lng);
+        if (distanceKm <= radiusKm) results.push({ userId, distanceKm, lat: loc.lat, lng: loc.lng, ts: loc.ts });
+      });
+    });
+    return results.sort((a, b) => a.distanceKm - b.distanceKm);
+  },
+
+  // Usuarios en Firestore con ubicación reciente dentro del radio (consulta por rango de geohash)
+  queryRadiusOffline: async (lat, lng, radiusKm, { maxAgeMs = NEARBY_LOCATION_MAX_AGE_MS } = {}) => {
+    const { cells } = geoIndex.coverCells(lat, lng, radiusKm);
+    const minUpdatedAt = Date.now() - maxAgeMs;
+
+    const snapshots = await Promise.all(
+      cells.map((cell) =>
+        db.collection(COLLECTIONS.USERS)
+          .where("geohash", ">=", cell)
+          .where("geohash", "<=", cell + "\uf8ff")
+          .get()
+      )
+    );
+
+    const seen = new Set();
+    const results = [];
+    snapshots.forEach((snapshot) => {
+      snapshot.docs.forEach((doc) => {
+        if (seen.has(doc.id)) return;
+        seen.add(doc.id);
+
+        const data = doc.data() || {};
+        const loc = data.lastKnownLocation;
+        if (!loc || typeof loc.lat !== "number" || typeof loc.lng !== "number") return;
+        if (!(data.lastLocationUpdatedAt >= minUpdatedAt)) return;
+
+        const distanceKm = utils.calculateDistance(lat, lng, loc.lat, loc.lng);
+        if (distanceKm <= radiusKm) {
+          results.push({ userId: doc.id, distanceKm, lat: loc.lat, lng: loc.lng, ts: data.lastLocationUpdatedAt });
+        }
+      });
+    });
+    return results.sort((a, b) => a.distanceKm - b.distanceKm);
+  },
+
+  // k usuarios más cercanos: duplica el radio hasta juntar k candidatos o llegar al máximo
+  nearest: async (lat, lng, k, { maxRadiusKm = GEO_NEAREST_MAX_RADIUS_KM, includeOffline = false, excludeIds = [] } = {}) => {
+    const exclude = new Set(excludeIds);
+    let radiusKm = Math.min(1, maxRadiusKm);
+
+    while (true) {
+      const online = geoIndex.queryRadius(lat, lng, radiusKm).map((u) => ({ ...u, isOnline: true }));
+      let candidates = online;
+
+      if (includeOffline) {
+        const offline = (await geoIndex.queryRadiusOffline(lat, lng, radiusKm))
+          .filter((u) => !state.connectedUsers.has(u.userId))
+          .map((u) => ({ ...u, isOnline: false }));
+        candidates = online.concat(offline).sort((a, b) => a.distanceKm - b.distanceKm);
+      }
+
+      candidates = candidates.filter((u) => !exclude.has(u.userId));
+      if (candidates.length >= k || radiusKm >= maxRadiusKm) {
+        return { radiusKm, users: candidates.slice(0, k) };
+      }
+      radiusKm = Math.min(radiusKm * 2, maxRadiusKm);
+    }
+  },
+};
+
+// ============================================================
+// 🕶️ PRIVACIDAD DE UBICACIÓN (AJUSTES, SANITIZADO Y RETENCIÓN)
+// ============================================================
+// Los ajustes viven en users/{userId}.locationSharing. Dentro de una emergencia la
+// ubicación de víctima y ayudantes se comparte siempre con precisión: alertar o
+// confirmar ayuda implica compartirla con los participantes.
+const locationPrivacy = {
+  normalize: (settings = {}) => ({
+    mode: Object.values(LOCATION_SHARING_MODES).includes(settings.mode) ? settings.mode : DEFAULT_LOCATION_SHARING_MODE,
+    fuzzRadiusM: Math.min(Math.max(Math.round(Number(settings.fuzzRadiusM) || 0), 0), LOCATION_FUZZ_MAX_M),
+  }),
+
+  get: (userId) => state.locationSettings.get(userId) || locationPrivacy.normalize(),
+
+  load: async (userId) => {
+    try {
+      const doc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
+      const settings = locationPrivacy.normalize(doc.data()?.locationSharing);
+      state.locationSettings.set(userId, settings);
+      return settings;
+    } catch (e) {
+      console.warn(`${colors.yellow}⚠️ No se pudieron cargar los ajustes de ubicación de ${userId}:${colors.reset}`, e.message);
+      return locationPrivacy.get(userId);
+    }
+  },
+
+  update: async (userId, changes) => {
+    const settings = locationPrivacy.normalize({ ...locationPrivacy.get(userId), ...changes });
+    state.locationSettings.set(userId, settings);
+
+    const patch = { locationSharing: { ...settings, updatedAt: Date.now() } };
+    // Al desactivar se borra lo guardado
+    if (settings.mode === LOCATION_SHARING_MODES.OFF) {
+      Object.assign(patch, locationPrivacy.clearedFields());
+      locationPrivacy.forgetInMemory(userId);
+    }
+    await db.collection(COLLECTIONS.USERS).doc(userId).set(patch, { merge: true });
+    return settings;
+  },
+
+  canStore: (userId) => locationPrivacy.get(userId).mode !== LOCATION_SHARING_MODES.OFF,
+
+  clearedFields: () => ({
+    lastKnownLocation: admin.firestore.FieldValue.delete(),
+    geohash: admin.firestore.FieldValue.delete(),
+    lastLocationUpdatedAt: admin.firestore.FieldValue.delete(),
+  }),
+
+  forgetInMemory: (userId) => {
+    const entry = state.connectedUsers.get(userId);
+    if (entry) delete entry.userData.lastKnownLocation;
+    geoIndex.remove(userId);
+  },
+
+  // Ajusta la coordenada al centro de una grilla del tamaño del radio (determinístico)
+  fuzz: (lat, lng, radiusM) => {
+    if (!radiusM) return { lat, lng };
+    const latStep = radiusM / 111320;
+    const lngStep = radiusM / (111320 * Math.max(Math.cos((lat * Math.PI) / 180), 0.01));
+    return {
+      lat: (Math.floor(lat / latStep) + 0.5) * latStep,
+      lng: (Math.floor(lng / lngStep) + 0.5) * lngStep,
+    };
+  },
+
+  // Ubicación visible fuera de emergencias, o null si el usuario no la comparte
+  publicLocation: (userId, loc) => {
+    if (!loc || typeof loc.lat !== "number" || typeof loc.lng !== "number") return null;
+    const { mode, fuzzRadiusM } = locationPrivacy.get(userId);
+    if (mode !== LOCATION_SHARING_MODES.ALWAYS) return null;
+
+    return { ...locationPrivacy.fuzz(loc.lat, loc.lng, fuzzRadiusM), ts: loc.ts, fuzzRadiusM };
+  },
+
+  // userData listo para listas públicas (connected_users, salas, GET /users)
+  sanitizeUser: (userData) => {
+    if (!userData) return userData;
+    const { lastKnownLocation, lat, lng, geohash, ...rest } = userData;
+    const location = locationPrivacy.publicLocation(userData.id, lastKnownLocation);
+    return location ? { ...rest, lastKnownLocation: location } : rest;
+  },
+
+  // Resultados de búsquedas por cercanía: solo quienes comparten siempre
+  sanitizeNearby: (users) => users
+    .map((u) => {
+      const location = locationPrivacy.publicLocation(u.userId, u);
+      if (!location) return null;
+      return {
+        userId: u.userId,
+        isOnline: u.isOnline,
+        lat: location.lat,
+        lng: location.lng,
+        ts: u.ts,
+        distanceKm: Math.round(u.distanceKm * 10) / 10,
+      };
+    })
+    .filter(Boolean),
+
+  // 🧽 Borra ubicaciones más viejas que la retención configurada
+  purgeStale: async () => {
+    const cutoff = Date.now() - LOCATION_RETENTION_MS;
+    let purged = 0;
+
+    state.connectedUsers.forEach(({ userData }, userId) => {
+      const ts = userData.lastKnownLocation?.ts;
+      if (typeof ts === "number" && ts < cutoff && !state.emergencyAlerts.has(userId)) {
+        locationPrivacy.forgetInMemory(userId);
+      }
+    });
+
+    try {
+      const snapshot = await db.collection(COLLECTIONS.USERS)
+        .where("lastLocationUpdatedAt", "<", cutoff)
+        .get();
+
+      for (let i = 0; i < snapshot.docs.length; i += FIRESTORE_BATCH_LIMIT) {
+        const batch = db.batch();
+        snapshot.docs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((doc) => {
+          if (state.emergencyAlerts.has(doc.id)) return;
+          batch.update(doc.ref, locationPrivacy.clearedFields());
+          purged++;
+        });
+        await batch.commit();
+      }
+
+      if (purged > 0) {
+        console.log(`${colors.gray}🧽 Ubicaciones vencidas eliminadas: ${purged}${colors.reset}`);
+      }
+    } catch (e) {
+      console.error(`${colors.red}❌ Error purgando ubicaciones vencidas:${colors.reset}`, e.message);
+    }
+    return purged;
+  },
+};
+
+// ============================================================
+// 🛠️ FUNCIONES UTILITARIAS
+// ============================================================
+const utils = {
+  isHttpUrl: (str) => typeof str === "string" && /^https?:\/\//i.test(str),
+  isDataUrl: (str) => typeof str === "string" && /^data:image\/[a-zA-Z0-9.+-]+;base64,/i.test(str),
+  
   getMimeFromDataUrl: (dataUrl) => {
     const match = /^data:(image\/[a-zA-Z0-9.+-]+);base64,/.exec(dataUrl || "");
     return match ? match[1] : "image/jpeg";
@@ -584,30 +1867,33 @@ const utils = {
     return R * c;
   },
 
+  // Usuarios conectados con ubicación conocida dentro del radio (sin fallback a "todos")
   getNearbyUsers: (alertLat, alertLng, radiusKm = 50) => {
-    const socketsWithin = [];
+    const nearby = [];
     
     console.log(`${colors.blue}📍 Buscando usuarios cercanos a:${colors.reset}`, { alertLat, alertLng, radiusKm });
     console.log(`${colors.blue}📊 Total de usuarios conectados:${colors.reset} ${state.connectedUsers.size}`);
     
-    state.connectedUsers.forEach(({ userData, sockets }, userId) => {
-      const loc = userData?.lastKnownLocation;
-      
-      if (loc && typeof loc.lat === "number" && typeof loc.lng === "number") {
-        const d = utils.calculateDistance(alertLat, alertLng, loc.lat, loc.lng);
-        if (d <= radiusKm) {
-          sockets.forEach((sid) => socketsWithin.push(sid));
-        }
-      }
+    geoIndex.queryRadius(alertLat, alertLng, radiusKm).forEach(({ userId, distanceKm }) => {
+      const entry = state.connectedUsers.get(userId);
+      if (entry) nearby.push({ userId, distanceKm, sockets: Array.from(entry.sockets) });
     });
-
-    if (socketsWithin.length === 0) {
-      state.connectedUsers.forEach(({ sockets }) => {
-        sockets.forEach((sid) => socketsWithin.push(sid));
-      });
-    }
     
-    return socketsWithin;
+    return nearby;
+  },
+
+  // Conectados que nunca reportaron ubicación (o la tienen apagada): ningún radio los incluye
+  getConnectedUsersWithoutLocation: () =>
+    Array.from(state.connectedUsers.entries())
+      .filter(([userId]) => !state.userGeohashes.has(userId))
+      .map(([userId, entry]) => ({ userId, distanceKm: null, sockets: Array.from(entry.sockets) })),
+
+  // Usuarios desconectados con ubicación reciente en Firestore dentro del radio
+  getNearbyOfflineUsers: async (alertLat, alertLng, radiusKm = 50) => {
+    const nearby = await geoIndex.queryRadiusOffline(alertLat, alertLng, radiusKm);
+    return nearby
+      .filter((u) => !state.connectedUsers.has(u.userId))
+      .map(({ userId, distanceKm }) => ({ userId, distanceKm }));
   },
 
   isUserPresentInRoom: (userId, roomId) => {
@@ -641,7 +1927,7 @@ const utils = {
 
     const usersInRoom = Array.from(room.users).map(userId => {
       const userInfo = state.connectedUsers.get(userId);
-      return userInfo ? userInfo.userData : null;
+      return userInfo ? locationPrivacy.sanitizeUser(userInfo.userData) : null;
     }).filter(Boolean);
 
     io.to(roomId).emit("room_users_updated", {
@@ -799,56 +2085,1722 @@ async function sendEmergencyNotification(userId, title, body, data = {}) {
 }
 
 // ============================================================
-// 🗑️ FUNCIÓN PARA ELIMINAR HISTORIAL DE CHAT
+// 📡 DIFUSIÓN DE EMERGENCIA POR PROXIMIDAD (ANILLOS)
 // ============================================================
-const deleteEmergencyChatHistory = async (emergencyRoomId) => {
-  try {
-    console.log(`${colors.blue}🗑️ Eliminando historial de chat para sala: ${emergencyRoomId}${colors.reset}`);
-    
-    const messagesSnapshot = await db.collection(COLLECTIONS.MESSAGES)
-      .where("roomId", "==", emergencyRoomId)
-      .get();
-    
-    const batch = db.batch();
-    let deletedCount = 0;
-    
-    messagesSnapshot.docs.forEach((doc) => {
-      batch.delete(doc.ref);
-      deletedCount++;
+function buildEmergencyPushData(emergencyData) {
+  const { userId, userName, emergencyType, emergencyRoomId, incidentId, avatarUrl } = emergencyData;
+  const vehicleData = emergencyData.vehicleInfo;
+  const latitude = String(emergencyData.latitude);
+  const longitude = String(emergencyData.longitude);
+
+  return {
+    type: "emergency",
+    emergencyUserId: userId,
+    emergencyUserName: userName,
+    emergencyType,
+    open_emergency_screen: "true",
+    is_helper: "true",
+    emergency_user_id: userId,
+    emergency_user_name: userName,
+    emergency_type: emergencyType,
+    emergency_room_id: emergencyRoomId,
+    latitude,
+    longitude,
+    emergency_latitude: latitude,
+    emergency_longitude: longitude,
+    avatarUrl: avatarUrl || "",
+    emergency_avatar_url: avatarUrl || "",
+    vehicleMarca: vehicleData?.brand || "",
+    vehicleModelo: vehicleData?.model || "",
+    vehiclePatente: vehicleData?.licensePlate || "",
+    vehicleColor: vehicleData?.color || "",
+    vehicleFoto: vehicleData?.photoUri || "",
+    vehicle_marca: vehicleData?.brand || "",
+    vehicle_modelo: vehicleData?.model || "",
+    vehicle_patente: vehicleData?.licensePlate || "",
+    vehicle_color: vehicleData?.color || "",
+    vehicle_foto: vehicleData?.photoUri || "",
+    timestamp: Date.now().toString(),
+    emergencyRoomId,
+    incidentId,
+  };
+}
+
+const emergencyBroadcast = {
+  start: async (userId) => {
+    emergencyBroadcast.stop(userId);
+    state.emergencyBroadcasts.set(userId, {
+      ringIndex: -1,
+      notified: new Set([userId]),
+      timer: null,
     });
-    
-    if (deletedCount > 0) {
-      await batch.commit();
-      console.log(`${colors.green}✅ Eliminados ${deletedCount} mensajes de la sala ${emergencyRoomId}${colors.reset}`);
-    } else {
-      console.log(`${colors.gray}📭 No se encontraron mensajes para eliminar en ${emergencyRoomId}${colors.reset}`);
+    return emergencyBroadcast.widen(userId, "initial");
+  },
+
+  stop: (userId) => {
+    const broadcast = state.emergencyBroadcasts.get(userId);
+    if (!broadcast) return;
+    clearTimeout(broadcast.timer);
+    state.emergencyBroadcasts.delete(userId);
+  },
+
+  // Pasa al siguiente anillo y notifica solo a quienes todavía no recibieron la alerta
+  widen: async (userId, reason = "few_helpers") => {
+    const broadcast = state.emergencyBroadcasts.get(userId);
+    const emergencyData = state.emergencyAlerts.get(userId);
+    const totals = { socketNotifications: 0, pushNotifications: 0, radiusKm: null, ringIndex: -1 };
+    if (!broadcast || !emergencyData) return totals;
+
+    clearTimeout(broadcast.timer);
+    totals.ringIndex = broadcast.ringIndex;
+    totals.radiusKm = EMERGENCY_BROADCAST_RINGS_KM[broadcast.ringIndex] ?? null;
+
+    // Anillos sin nadie nuevo se saltean al instante
+    while (broadcast.ringIndex < EMERGENCY_BROADCAST_RINGS_KM.length - 1) {
+      broadcast.ringIndex++;
+      const radiusKm = EMERGENCY_BROADCAST_RINGS_KM[broadcast.ringIndex];
+      const { latitude, longitude } = emergencyData;
+
+      totals.radiusKm = radiusKm;
+      totals.ringIndex = broadcast.ringIndex;
+
+      // El último anillo también alcanza a los conectados sin ubicación conocida
+      const isLastRing = broadcast.ringIndex === EMERGENCY_BROADCAST_RINGS_KM.length - 1;
+      const online = [
+        ...utils.getNearbyUsers(latitude, longitude, radiusKm),
+        ...(isLastRing ? utils.getConnectedUsersWithoutLocation() : []),
+      ].filter((u) => !broadcast.notified.has(u.userId));
+
+      for (const target of online) {
+        broadcast.notified.add(target.userId);
+        target.sockets.forEach((sid) => {
+          io.to(sid).emit("emergency_alert", {
+            ...emergencyData,
+            radiusKm,
+            distanceKm: target.distanceKm === null ? null : Math.round(target.distanceKm * 100) / 100,
+          });
+        });
+        totals.socketNotifications++;
+      }
+
+      let offline = [];
+      try {
+        offline = (await utils.getNearbyOfflineUsers(latitude, longitude, radiusKm))
+          .filter((u) => !broadcast.notified.has(u.userId));
+      } catch (e) {
+        console.warn(`${colors.yellow}⚠️ No se pudieron buscar usuarios cercanos desconectados:${colors.reset}`, e.message);
+      }
+
+      // Pushes en paralelo: el ack de emergency_alert espera este anillo
+      const pushData = buildEmergencyPushData(emergencyData);
+      offline.forEach((target) => broadcast.notified.add(target.userId));
+      const pushResults = await Promise.allSettled(offline.map((target) =>
+        sendEmergencyNotification(
+          target.userId,
+          "🚨 EMERGENCIA",
+          `${emergencyData.userName} necesita ayuda`,
+          { ...pushData, distance_km: target.distanceKm.toFixed(2) }
+        )
+      ));
+      totals.pushNotifications += pushResults.filter((r) => r.status === "fulfilled" && r.value).length;
+
+      console.log(
+        `${colors.red}📡 Anillo ${broadcast.ringIndex + 1}/${EMERGENCY_BROADCAST_RINGS_KM.length} (${radiusKm} km, ${reason}):${colors.reset} ${online.length} conectados, ${offline.length} push`
+      );
+
+      if (online.length + offline.length > 0) break;
     }
-    
-    return deletedCount;
-  } catch (error) {
-    console.error(`${colors.red}❌ Error eliminando historial de chat:${colors.reset}`, error);
-    throw error;
-  }
+
+    utils.emitToUser(userId, "emergency_broadcast_ring", {
+      userId,
+      incidentId: emergencyData.incidentId,
+      ringIndex: broadcast.ringIndex,
+      radiusKm: totals.radiusKm,
+      notifiedCount: broadcast.notified.size - 1,
+      reason,
+      timestamp: Date.now(),
+    });
+
+    if (emergencyData.incidentId) {
+      try {
+        await getEmergencyIncidentRef(emergencyData.incidentId).update({
+          broadcastRadiusKm: totals.radiusKm,
+          broadcastRingIndex: broadcast.ringIndex,
+          notifiedCount: broadcast.notified.size - 1,
+        });
+      } catch (e) {
+        console.warn(`${colors.yellow}⚠️ No se pudo guardar el radio de difusión:${colors.reset}`, e.message);
+      }
+    }
+
+    emergencyBroadcast.scheduleCheck(userId);
+    return totals;
+  },
+
+  // Si al cumplirse el intervalo hay menos ayudantes que el mínimo, ampliar el radio
+  scheduleCheck: (userId) => {
+    const broadcast = state.emergencyBroadcasts.get(userId);
+    if (!broadcast || broadcast.ringIndex >= EMERGENCY_BROADCAST_RINGS_KM.length - 1) return;
+
+    broadcast.timer = setTimeout(async () => {
+      const helpersCount = state.emergencyHelpers.get(userId)?.size || 0;
+      if (!state.emergencyAlerts.has(userId)) return emergencyBroadcast.stop(userId);
+
+      if (helpersCount < EMERGENCY_MIN_HELPERS) {
+        await emergencyBroadcast.widen(userId, "few_helpers");
+      }
+    }, EMERGENCY_RING_INTERVAL_MS);
+  },
 };
 
 // ============================================================
-// 🧹 FUNCIÓN PARA LIMPIAR TOKENS INVALIDOS (OPCIONAL - CRON JOB)
+// 🪜 ESCALAMIENTO DE EMERGENCIA (NADIE CONFIRMÓ AYUDA)
 // ============================================================
-async function cleanupInvalidTokens() {
-  console.log(`${colors.cyan}🧹 Iniciando limpieza de tokens FCM inválidos...${colors.reset}`);
-  
-  try {
-    const usersSnapshot = await db.collection(COLLECTIONS.USERS).get();
-    let totalCleaned = 0;
-    let usersProcessed = 0;
-    
-    for (const doc of usersSnapshot.docs) {
-      const userId = doc.id;
-      const userData = doc.data() || {};
-      const tokens = Array.isArray(userData.fcmTokens) ? userData.fcmTokens : [];
-      
-      if (tokens.length === 0) continue;
-      
+const emergencyEscalation = {
+  start: (userId) => {
+    emergencyEscalation.stop(userId);
+    state.emergencyEscalations.set(userId, { stepIndex: 0, timer: null, startedAt: Date.now() });
+    emergencyEscalation.scheduleNext(userId);
+  },
+
+  stop: (userId) => {
+    const escalation = state.emergencyEscalations.get(userId);
+    if (!escalation) return;
+    clearTimeout(escalation.timer);
+    state.emergencyEscalations.delete(userId);
+  },
+
+  scheduleNext: (userId) => {
+    const escalation = state.emergencyEscalations.get(userId);
+    const step = escalation && EMERGENCY_ESCALATION_POLICY[escalation.stepIndex];
+    if (!step) return emergencyEscalation.stop(userId);
+
+    const delay = Math.max(0, escalation.startedAt + step.afterMs - Date.now());
+    escalation.timer = setTimeout(() => emergencyEscalation.runStep(userId), delay);
+  },
+
+  runStep: async (userId) => {
+    const escalation = state.emergencyEscalations.get(userId);
+    const emergencyData = state.emergencyAlerts.get(userId);
+    if (!escalation || !emergencyData) return emergencyEscalation.stop(userId);
+
+    // Con al menos un ayudante confirmado el escalamiento ya no hace falta
+    if ((state.emergencyHelpers.get(userId)?.size || 0) > 0) {
+      return emergencyEscalation.stop(userId);
+    }
+
+    const stepIndex = escalation.stepIndex;
+    const { action } = EMERGENCY_ESCALATION_POLICY[stepIndex];
+    const handler = emergencyEscalation.actions[action];
+    let result;
+
+    try {
+      result = handler
+        ? await handler(userId, emergencyData, stepIndex + 1)
+        : { ok: false, error: "UNKNOWN_ACTION" };
+    } catch (e) {
+      result = { ok: false, error: e.message };
+    }
+
+    console.log(
+      `${colors.red}🪜 Escalamiento ${stepIndex + 1}/${EMERGENCY_ESCALATION_POLICY.length} (${action}) para ${userId}:${colors.reset}`,
+      result
+    );
+    await emergencyEscalation.record(userId, emergencyData, { stepIndex, action, result });
+
+    // La emergencia pudo terminar mientras se ejecutaba el paso
+    if (state.emergencyEscalations.get(userId) !== escalation) return;
+    escalation.stepIndex++;
+    emergencyEscalation.scheduleNext(userId);
+  },
+
+  // Registra el paso en el incidente y lo notifica en la sala de la víctima
+  record: async (userId, emergencyData, { stepIndex, action, result }) => {
+    const entry = {
+      incidentId: emergencyData.incidentId,
+      userId,
+      roomId: emergencyData.emergencyRoomId,
+      level: stepIndex + 1,
+      totalLevels: EMERGENCY_ESCALATION_POLICY.length,
+      action,
+      ok: result?.ok !== false,
+      result: result || null,
+      timestamp: Date.now(),
+    };
+
+    if (emergencyData.incidentId) {
+      try {
+        const incidentRef = getEmergencyIncidentRef(emergencyData.incidentId);
+        await incidentRef.collection("escalations").add({
+          ...entry,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        await incidentRef.update({ escalationLevel: entry.level, lastEscalationAt: entry.timestamp, lastEscalationAction: action });
+      } catch (e) {
+        console.warn(`${colors.yellow}⚠️ No se pudo registrar el escalamiento:${colors.reset}`, e.message);
+      }
+    }
+
+    io.to(emergencyData.emergencyRoomId).emit("emergency_escalated", entry);
+  },
+
+  actions: {
+    // Reenvía la alerta a todos los ya notificados, marcada como crítica
+    repush_urgent: async (userId, emergencyData, level) => {
+      const broadcast = state.emergencyBroadcasts.get(userId);
+      const targets = Array.from(broadcast?.notified || []).filter((id) => id !== userId);
+      const pushData = {
+        ...buildEmergencyPushData(emergencyData),
+        urgency: "critical",
+        escalation_level: level,
+      };
+      const online = targets.filter((targetId) => state.connectedUsers.has(targetId));
+      const offline = targets.filter((targetId) => !state.connectedUsers.has(targetId));
+
+      online.forEach((targetId) =>
+        utils.emitToUser(targetId, "emergency_alert", { ...emergencyData, urgency: "critical", escalationLevel: level })
+      );
+      const socketNotifications = online.length;
+
+      // Pushes en paralelo, como en los anillos: los siguientes pasos de escalamiento no esperan
+      const pushResults = await Promise.allSettled(offline.map((targetId) =>
+        sendEmergencyNotification(
+          targetId,
+          "🚨 EMERGENCIA SIN RESPUESTA",
+          `${emergencyData.userName} sigue esperando ayuda`,
+          pushData
+        )
+      ));
+      const pushNotifications = pushResults.filter((r) => r.status === "fulfilled" && r.value).length;
+
+      return { ok: true, targets: targets.length, socketNotifications, pushNotifications };
+    },
+
+    widen_radius: async (userId) => {
+      const totals = await emergencyBroadcast.widen(userId, "escalation");
+      return { ok: true, ...totals };
+    },
+
+    // Contactos designados en users/{userId}.emergencyContacts (userIds o { userId, name, phone })
+    notify_contacts: async (userId, emergencyData) => {
+      const userDoc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
+      const contacts = (userDoc.data()?.emergencyContacts || [])
+        .map((c) => (typeof c === "string" ? { userId: c } : c))
+        .filter((c) => c?.userId && c.userId !== userId);
+
+      const pushData = {
+        ...buildEmergencyPushData(emergencyData),
+        is_helper: "false",
+        is_emergency_contact: "true",
+        urgency: "critical",
+      };
+      let notified = 0;
+
+      for (const contact of contacts) {
+        const online = utils.emitToUser(contact.userId, "emergency_contact_alert", {
+          ...emergencyData,
+          contactName: contact.name || null,
+        });
+        const pushed = await sendEmergencyNotification(
+          contact.userId,
+          "🚨 EMERGENCIA DE UN CONTACTO",
+          `${emergencyData.userName} activó una emergencia y nadie respondió todavía`,
+          pushData
+        );
+        if (online || pushed) notified++;
+      }
+      return { ok: contacts.length > 0, contacts: contacts.length, notified };
+    },
+
+    // Aviso a un servicio externo de despacho
+    dispatch_webhook: async (userId, emergencyData, level) => {
+      if (!EMERGENCY_DISPATCH_WEBHOOK_URL) return { ok: false, error: "WEBHOOK_NOT_CONFIGURED" };
+
+      const response = await fetch(EMERGENCY_DISPATCH_WEBHOOK_URL, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          type: "emergency_escalation",
+          incidentId: emergencyData.incidentId,
+          userId,
+          userName: emergencyData.userName,
+          emergencyType: emergencyData.emergencyType,
+          status: emergencyData.status,
+          latitude: emergencyData.latitude,
+          longitude: emergencyData.longitude,
+          vehicle: emergencyData.vehicleInfo || null,
+          startedAt: emergencyData.timestamp,
+          escalationLevel: level,
+          timestamp: Date.now(),
+        }),
+        signal: AbortSignal.timeout(EMERGENCY_DISPATCH_WEBHOOK_TIMEOUT_MS),
+      });
+      return { ok: response.ok, status: response.status };
+    },
+  },
+};
+
+// ============================================================
+// 👥 PLANTEL DE AYUDANTES (CUPO, LISTA DE ESPERA Y ROLES)
+// ============================================================
+// `state.emergencyHelpers` mantiene solo los ayudantes activos (en camino o en el lugar);
+// el plantel completo, con roles y estados, vive en `state.emergencyRosters`.
+const helperRoster = {
+  get: (victimId) => {
+    if (!state.emergencyRosters.has(victimId)) {
+      state.emergencyRosters.set(victimId, { helpers: new Map(), waitlist: [] });
+    }
+    return state.emergencyRosters.get(victimId);
+  },
+
+  clear: (victimId) => {
+    state.emergencyRosters.delete(victimId);
+    state.helperTrails.delete(victimId);
+  },
+
+  isActive: (entry) =>
+    entry?.status === HELPER_STATUSES.EN_ROUTE || entry?.status === HELPER_STATUSES.ARRIVED,
+
+  // Víctima o ayudante confirmado (activo o en lista de espera); no rechazados ni retirados
+  isParticipant: (victimId, userId) => {
+    if (userId === victimId) return true;
+    const entry = state.emergencyRosters.get(victimId)?.helpers.get(userId);
+    return helperRoster.isActive(entry) || entry?.status === HELPER_STATUSES.WAITLISTED;
+  },
+
+  snapshot: (victimId) => {
+    const roster = state.emergencyRosters.get(victimId);
+    const entries = roster ? Array.from(roster.helpers.values()) : [];
+    return {
+      maxActiveHelpers: EMERGENCY_MAX_ACTIVE_HELPERS,
+      active: entries.filter(helperRoster.isActive),
+      waitlist: (roster?.waitlist || []).map((id) => roster.helpers.get(id)),
+    };
+  },
+
+  // Un ayudante confirma: entra como activo si hay cupo, si no a la lista de espera
+  confirm: async (victimId, helperId, helperName) => {
+    const roster = helperRoster.get(victimId);
+    const existing = roster.helpers.get(helperId);
+
+    if (helperRoster.isActive(existing)) return { entry: existing, waitlisted: false };
+    // La víctima lo rechazó en este incidente: no puede volver a confirmar
+    if (existing?.status === HELPER_STATUSES.REJECTED) return { entry: existing, rejected: true };
+    if (existing?.status === HELPER_STATUSES.WAITLISTED) {
+      return { entry: existing, waitlisted: true, position: roster.waitlist.indexOf(helperId) + 1 };
+    }
+
+    const entry = {
+      helperId,
+      helperName: helperName || existing?.helperName || "Ayudante",
+      role: null,
+      status: HELPER_STATUSES.WAITLISTED,
+      confirmedAt: Date.now(),
+      statusUpdatedAt: Date.now(),
+    };
+    roster.helpers.set(helperId, entry);
+
+    const activeCount = state.emergencyHelpers.get(victimId)?.size || 0;
+    if (activeCount >= EMERGENCY_MAX_ACTIVE_HELPERS) {
+      roster.waitlist.push(helperId);
+      await helperRoster.publish(victimId, entry, "waitlisted");
+      return { entry, waitlisted: true, position: roster.waitlist.length };
+    }
+
+    await helperRoster.activate(victimId, entry, "confirmed");
+    return { entry, waitlisted: false };
+  },
+
+  activate: async (victimId, entry, change) => {
+    const roster = helperRoster.get(victimId);
+    const hasPrimary = Array.from(roster.helpers.values())
+      .some((h) => h.helperId !== entry.helperId && helperRoster.isActive(h) && h.role === HELPER_ROLES.PRIMARY);
+
+    entry.role = hasPrimary ? HELPER_ROLES.BACKUP : HELPER_ROLES.PRIMARY;
+    entry.status = HELPER_STATUSES.EN_ROUTE;
+    entry.statusUpdatedAt = Date.now();
+
+    if (!state.emergencyHelpers.has(victimId)) state.emergencyHelpers.set(victimId, new Set());
+    state.emergencyHelpers.get(victimId).add(entry.helperId);
+
+    await helperRoster.publish(victimId, entry, change);
+  },
+
+  setStatus: async (victimId, helperId, status) => {
+    const entry = state.emergencyRosters.get(victimId)?.helpers.get(helperId);
+    if (!helperRoster.isActive(entry)) return null;
+
+    entry.status = status;
+    entry.statusUpdatedAt = Date.now();
+    await helperRoster.publish(victimId, entry, status);
+    return entry;
+  },
+
+  // Saca a un ayudante (retiro propio o rechazo de la víctima) y libera su lugar
+  release: async (victimId, helperId, status, reason) => {
+    const roster = state.emergencyRosters.get(victimId);
+    const entry = roster?.helpers.get(helperId);
+    if (!entry) return { entry: null, promoted: [] };
+
+    const wasPrimary = helperRoster.isActive(entry) && entry.role === HELPER_ROLES.PRIMARY;
+    roster.waitlist = roster.waitlist.filter((id) => id !== helperId);
+    state.emergencyHelpers.get(victimId)?.delete(helperId);
+
+    // Deja de ser ayudante confirmado: pierde el acceso a la sala de emergencia
+    const emergencyRoom = state.chatRooms.get(state.emergencyUserRoom.get(victimId));
+    if (emergencyRoom) roomAccess.evict(emergencyRoom, helperId, `helper_${status}`);
+
+    entry.status = status;
+    entry.role = null;
+    entry.reason = reason || null;
+    entry.statusUpdatedAt = Date.now();
+    await helperRoster.publish(victimId, entry, status);
+
+    // El backup más antiguo toma el rol de primary
+    if (wasPrimary) {
+      const nextPrimary = Array.from(roster.helpers.values())
+        .filter(helperRoster.isActive)
+        .sort((a, b) => a.confirmedAt - b.confirmedAt)[0];
+      if (nextPrimary) {
+        nextPrimary.role = HELPER_ROLES.PRIMARY;
+        await helperRoster.publish(victimId, nextPrimary, "promoted_primary");
+      }
+    }
+
+    // Completar el cupo con la lista de espera
+    const promoted = [];
+    while (roster.waitlist.length && (state.emergencyHelpers.get(victimId)?.size || 0) < EMERGENCY_MAX_ACTIVE_HELPERS) {
+      const next = roster.helpers.get(roster.waitlist.shift());
+      if (!next) continue;
+      await helperRoster.activate(victimId, next, "promoted_from_waitlist");
+      promoted.push(next);
+    }
+
+    return { entry, promoted };
+  },
+
+  // Persiste en emergencies/{id}/active_helpers y avisa a la sala y al ayudante
+  publish: async (victimId, entry, change) => {
+    const emergencyData = state.emergencyAlerts.get(victimId);
+    const incidentId = getActiveIncidentId(victimId);
+    const roomId = emergencyData?.emergencyRoomId || state.emergencyUserRoom.get(victimId);
+
+    if (incidentId) {
+      try {
+        await getEmergencyIncidentRef(incidentId)
+          .collection("active_helpers")
+          .doc(entry.helperId)
+          .set({
+            ...entry,
+            isActive: helperRoster.isActive(entry),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          }, { merge: true });
+      } catch (e) {
+        console.warn(`${colors.yellow}⚠️ No se pudo guardar el estado del ayudante:${colors.reset}`, e.message);
+      }
+    }
+
+    const payload = {
+      incidentId,
+      emergencyUserId: victimId,
+      roomId,
+      change,
+      helper: entry,
+      roster: helperRoster.snapshot(victimId),
+      timestamp: Date.now(),
+    };
+
+    console.log(`${colors.cyan}👥 Plantel ${victimId}:${colors.reset} ${entry.helperId} → ${entry.status}/${entry.role || "-"} (${change})`);
+
+    if (roomId) io.to(roomId).emit("helper_roster_updated", payload);
+    // El ayudante puede no estar en la sala (lista de espera o ya retirado)
+    utils.emitToUser(entry.helperId, "helper_status_changed", payload);
+  },
+};
+
+// ============================================================
+// 📦 PIPELINE DE UBICACIONES (THROTTLING + ESCRITURAS EN BATCH)
+// ============================================================
+const locationPipeline = {
+  getBuffer: (incidentId) => {
+    if (!state.locationBuffers.has(incidentId)) {
+      state.locationBuffers.set(incidentId, { adds: [], merges: new Map(), lastPersisted: new Map(), timer: null });
+    }
+    return state.locationBuffers.get(incidentId);
+  },
+
+  // Descarta jitter: muy poco movimiento o demasiado seguido respecto del último punto guardado
+  shouldPersist: (incidentId, userId, lat, lng, ts = Date.now()) => {
+    const buffer = locationPipeline.getBuffer(incidentId);
+    const last = buffer.lastPersisted.get(userId);
+
+    if (last) {
+      const elapsed = ts - last.ts;
+      if (elapsed < LOCATION_MIN_INTERVAL_MS) return false;
+
+      const movedM = utils.calculateDistance(last.lat, last.lng, lat, lng) * 1000;
+      if (movedM < LOCATION_MIN_DISTANCE_M && elapsed < LOCATION_KEEPALIVE_MS) return false;
+    }
+
+    buffer.lastPersisted.set(userId, { lat, lng, ts });
+    return true;
+  },
+
+  // Punto nuevo del trail (subcolección locations / helper_locations)
+  addPoint: (incidentId, collection, data) => {
+    const buffer = locationPipeline.getBuffer(incidentId);
+    buffer.adds.push({ collection, data });
+    locationPipeline.scheduleFlush(incidentId);
+  },
+
+  // Campos que solo importan en su último valor (doc del incidente o de un ayudante)
+  merge: (incidentId, collection, docId, data) => {
+    const buffer = locationPipeline.getBuffer(incidentId);
+    const key = collection ? `${collection}/${docId}` : "";
+    buffer.merges.set(key, { collection, docId, data: { ...buffer.merges.get(key)?.data, ...data } });
+    locationPipeline.scheduleFlush(incidentId);
+  },
+
+  scheduleFlush: (incidentId) => {
+    const buffer = state.locationBuffers.get(incidentId);
+    if (!buffer) return;
+
+    if (buffer.adds.length >= LOCATION_BATCH_SIZE && !buffer.retrying) {
+      locationPipeline.flush(incidentId).catch(() => {});
+    } else if (!buffer.timer) {
+      buffer.timer = setTimeout(() => locationPipeline.flush(incidentId).catch(() => {}), LOCATION_FLUSH_INTERVAL_MS);
+    }
+  },
+
+  flush: async (incidentId) => {
+    const buffer = state.locationBuffers.get(incidentId);
+    if (!buffer) return 0;
+
+    clearTimeout(buffer.timer);
+    buffer.timer = null;
+
+    const incidentRef = getEmergencyIncidentRef(incidentId);
+    const pending = [
+      ...buffer.adds.map((add) => ({ add })),
+      ...Array.from(buffer.merges.entries()).map(([key, merge]) => ({ key, merge })),
+    ];
+    buffer.adds = [];
+    buffer.merges = new Map();
+    if (!pending.length) return 0;
+
+    const write = (batch, { add, merge }) => (add
+      ? batch.set(incidentRef.collection(add.collection).doc(), add.data)
+      : batch.set(merge.collection ? incidentRef.collection(merge.collection).doc(merge.docId) : incidentRef, merge.data, { merge: true }));
+
+    // Cada batch es atómico: lo que no llegó a commitearse vuelve al buffer
+    let committed = 0;
+    try {
+      while (committed < pending.length) {
+        const chunk = pending.slice(committed, committed + FIRESTORE_BATCH_LIMIT);
+        const batch = db.batch();
+        chunk.forEach((item) => write(batch, item));
+        await batch.commit();
+        committed += chunk.length;
+      }
+      buffer.retrying = false;
+      console.log(`${colors.gray}📦 Ubicaciones del incidente ${incidentId}: ${committed} escrituras en batch${colors.reset}`);
+    } catch (e) {
+      locationPipeline.requeue(incidentId, pending.slice(committed));
+      console.warn(
+        `${colors.yellow}⚠️ No se pudieron guardar ubicaciones en batch (${pending.length - committed} pendientes, se reintenta):${colors.reset}`,
+        e.message
+      );
+      throw e;
+    }
+
+    if (buffer.closed && !buffer.adds.length && !buffer.merges.size) state.locationBuffers.delete(incidentId);
+    return committed;
+  },
+
+  // Devuelve al buffer escrituras no confirmadas; lo llegado durante el flush pisa a lo viejo
+  requeue: (incidentId, items) => {
+    const buffer = locationPipeline.getBuffer(incidentId);
+    buffer.adds = [...items.filter((item) => item.add).map((item) => item.add), ...buffer.adds];
+    items.filter((item) => item.merge).forEach(({ key, merge }) => {
+      const newer = buffer.merges.get(key);
+      buffer.merges.set(key, { ...merge, data: { ...merge.data, ...newer?.data } });
+    });
+
+    // Reintento por timer (nunca inmediato, para no martillar a Firestore caído)
+    buffer.retrying = true;
+    if (!buffer.timer) {
+      buffer.timer = setTimeout(() => locationPipeline.flush(incidentId).catch(() => {}), LOCATION_FLUSH_INTERVAL_MS);
+    }
+  },
+
+  // Al terminar el incidente: escribir lo pendiente y olvidar el buffer. Si Firestore falla,
+  // el buffer queda marcado y se borra recién cuando el reintento logra escribir todo.
+  close: async (incidentId) => {
+    const buffer = incidentId && state.locationBuffers.get(incidentId);
+    if (!buffer) return;
+    buffer.closed = true;
+    try {
+      await locationPipeline.flush(incidentId);
+    } catch (_) {
+      // ya logueado en flush; queda el reintento programado
+      return;
+    }
+    clearTimeout(buffer.timer);
+    state.locationBuffers.delete(incidentId);
+  },
+};
+
+// ============================================================
+// ⏱️ DISTANCIA, ETA Y LLEGADA DE AYUDANTES
+// ============================================================
+const helperEta = {
+  // Agrega el punto al trail y calcula distancia a la víctima y ETA según la velocidad reciente
+  update: (victimId, helperId, lat, lng, ts = Date.now()) => {
+    const emergencyData = state.emergencyAlerts.get(victimId);
+    if (!emergencyData) return null;
+
+    if (!state.helperTrails.has(victimId)) state.helperTrails.set(victimId, new Map());
+    const trails = state.helperTrails.get(victimId);
+    const trail = trails.get(helperId) || [];
+    trail.push({ lat, lng, ts });
+    if (trail.length > HELPER_TRAIL_SIZE) trail.shift();
+    trails.set(helperId, trail);
+
+    const distanceKm = utils.calculateDistance(lat, lng, emergencyData.latitude, emergencyData.longitude);
+
+    let speedKmh = null;
+    const elapsedH = (trail[trail.length - 1].ts - trail[0].ts) / 3600000;
+    if (trail.length >= 2 && elapsedH > 0) {
+      let travelledKm = 0;
+      for (let i = 1; i < trail.length; i++) {
+        travelledKm += utils.calculateDistance(trail[i - 1].lat, trail[i - 1].lng, trail[i].lat, trail[i].lng);
+      }
+      speedKmh = travelledKm / elapsedH;
+    }
+
+    const speedSource = speedKmh >= HELPER_MIN_SPEED_KMH ? "trail" : "default";
+    const effectiveSpeedKmh = speedSource === "trail" ? speedKmh : HELPER_DEFAULT_SPEED_KMH;
+    const etaSeconds = Math.round((distanceKm / effectiveSpeedKmh) * 3600);
+
+    return {
+      distanceMeters: Math.round(distanceKm * 1000),
+      speedKmh: speedKmh === null ? null : Math.round(speedKmh * 10) / 10,
+      speedSource,
+      etaSeconds,
+      etaAt: Date.now() + etaSeconds * 1000,
+      withinArrivalRadius: distanceKm * 1000 <= HELPER_ARRIVAL_RADIUS_M,
+    };
+  },
+};
+
+// Marca al ayudante en el lugar (manual o por radio de llegada) y avisa a la víctima
+async function markHelperArrived(victimId, helperId, { helperName, automatic = false } = {}) {
+  // Si otro ayudante ya llegó, la emergencia ya está en el lugar
+  const result = state.emergencyAlerts.get(victimId)?.status === EMERGENCY_STATES.HELPER_ON_SCENE
+    ? { ok: true, to: EMERGENCY_STATES.HELPER_ON_SCENE }
+    : await emergencyLifecycle.transition(victimId, EMERGENCY_STATES.HELPER_ON_SCENE, {
+      actor: helperId,
+      reason: automatic ? "helper_within_arrival_radius" : "helper_arrived",
+    });
+
+  if (!result.ok) return result;
+
+  const entry = await helperRoster.setStatus(victimId, helperId, HELPER_STATUSES.ARRIVED);
+
+  utils.emitToUser(victimId, "helper_arrived", {
+    emergencyUserId: victimId,
+    helperId,
+    helperName: helperName || entry?.helperName || "Ayudante",
+    automatic,
+    timestamp: Date.now()
+  });
+
+  return result;
+}
+
+// Tras la salida de un ayudante: sin nadie en el lugar, "helper_on_scene" vuelve a
+// "helpers_en_route"; sin ayudantes activos, "helpers_en_route" vuelve a "raised"
+async function syncEmergencyStatusWithHelpers(victimId, actor, reason) {
+  const emergencyData = state.emergencyAlerts.get(victimId);
+  const active = Array.from(state.emergencyRosters.get(victimId)?.helpers.values() || []).filter(helperRoster.isActive);
+
+  if (emergencyData?.status === EMERGENCY_STATES.HELPER_ON_SCENE) {
+    if (active.some((h) => h.status === HELPER_STATUSES.ARRIVED)) return;
+    await emergencyLifecycle.transition(victimId, EMERGENCY_STATES.HELPERS_EN_ROUTE, { actor, reason });
+  }
+
+  if (emergencyData?.status !== EMERGENCY_STATES.HELPERS_EN_ROUTE || active.length > 0) return;
+  await emergencyLifecycle.transition(victimId, EMERGENCY_STATES.RAISED, { actor, reason });
+}
+
+// ============================================================
+// 🎙️ PUSH-TO-TALK: TURNO DE PALABRA (UN SOLO HABLANTE POR CANAL)
+// ============================================================
+const floorControl = {
+  isChannel: (roomId) => PTT_CHANNEL_TYPES.includes(state.chatRooms.get(roomId)?.type),
+
+  get: (roomId) => {
+    if (!state.pttFloors.has(roomId)) state.pttFloors.set(roomId, { talker: null, queue: [], timer: null });
+    return state.pttFloors.get(roomId);
+  },
+
+  // En salas de emergencia la víctima tiene prioridad; en canales PTT, quien tenga una emergencia activa
+  priorityFor: (roomId, userId) => {
+    const room = state.chatRooms.get(roomId);
+    const isEmergency = room?.type === "emergency"
+      ? room.emergencyData?.userId === userId
+      : state.emergencyAlerts.has(userId);
+    return isEmergency ? PTT_PRIORITIES.EMERGENCY : PTT_PRIORITIES.NORMAL;
+  },
+
+  maxTalkMs: (priority) =>
+    priority === PTT_PRIORITIES.EMERGENCY ? PTT_EMERGENCY_MAX_TALK_MS : PTT_MAX_TALK_MS,
+
+  snapshot: (roomId) => {
+    const floor = state.pttFloors.get(roomId);
+    const talker = floor?.talker;
+    return {
+      roomId,
+      talker: talker
+        ? {
+            userId: talker.userId,
+            username: talker.username,
+            priority: talker.priority,
+            grantedAt: talker.grantedAt,
+            expiresAt: talker.expiresAt,
+          }
+        : null,
+      queue: (floor?.queue || []).map(({ userId, username, priority, requestedAt }) => ({
+        userId,
+        username,
+        priority,
+        requestedAt,
+      })),
+      maxTalkMs: PTT_MAX_TALK_MS,
+      timestamp: Date.now(),
+    };
+  },
+
+  publish: (roomId) => io.to(roomId).emit("ptt_floor_state", floorControl.snapshot(roomId)),
+
+  enqueue: floorQueue.enqueue,
+
+  grant: (roomId, request) => {
+    const floor = floorControl.get(roomId);
+    const now = Date.now();
+    const maxTalkMs = floorControl.maxTalkMs(request.priority);
+
+    clearTimeout(floor.timer);
+    floor.talker = { ...request, grantedAt: now, expiresAt: now + maxTalkMs };
+    floor.timer = setTimeout(() => floorControl.endTurn(roomId, "max_talk_time"), maxTalkMs);
+
+    io.to(request.socketId).emit("ptt_floor_granted", { roomId, expiresAt: floor.talker.expiresAt, maxTalkMs });
+    console.log(`${colors.magenta}🎙️ Turno en ${roomId} → ${request.username} (${request.priority}, ${maxTalkMs / 1000}s)${colors.reset}`);
+    return floor.talker;
+  },
+
+  // Termina el turno actual y lo pasa al siguiente de la cola
+  endTurn: (roomId, reason) => {
+    const floor = state.pttFloors.get(roomId);
+    if (!floor?.talker) return;
+
+    const { socketId, username } = floor.talker;
+    clearTimeout(floor.timer);
+    floor.timer = null;
+    floor.talker = null;
+
+    if (reason !== "released") io.to(socketId).emit("ptt_floor_revoked", { roomId, reason });
+    pttStreams.finishForSocket(socketId, reason);
+    console.log(`${colors.gray}🎙️ Fin de turno de ${username} en ${roomId} (${reason})${colors.reset}`);
+    floorControl.advance(roomId);
+  },
+
+  advance: (roomId) => {
+    const floor = state.pttFloors.get(roomId);
+    if (!floor) return;
+
+    if (!floor.talker && floor.queue.length) floorControl.grant(roomId, floor.queue.shift());
+    if (!floor.talker && !floor.queue.length) state.pttFloors.delete(roomId);
+    floorControl.publish(roomId);
+  },
+
+  request: (roomId, { userId, username, socketId }) => {
+    const floor = floorControl.get(roomId);
+    const priority = floorControl.priorityFor(roomId, userId);
+
+    if (floor.talker?.userId === userId) {
+      return { granted: true, expiresAt: floor.talker.expiresAt, priority: floor.talker.priority };
+    }
+
+    const queuedIndex = floor.queue.findIndex((q) => q.userId === userId);
+    if (queuedIndex !== -1) return { queued: true, position: queuedIndex + 1, priority };
+
+    const request = { userId, username, socketId, priority, requestedAt: Date.now() };
+
+    if (!floor.talker) {
+      const talker = floorControl.grant(roomId, request);
+      floorControl.publish(roomId);
+      return { granted: true, expiresAt: talker.expiresAt, priority };
+    }
+
+    // 🚨 Prioridad de emergencia: se interrumpe al hablante y vuelve al frente de la cola
+    if (priority === PTT_PRIORITIES.EMERGENCY && floor.talker.priority !== PTT_PRIORITIES.EMERGENCY) {
+      const { grantedAt, expiresAt, ...preempted } = floor.talker;
+      io.to(preempted.socketId).emit("ptt_floor_revoked", { roomId, reason: "preempted", by: userId });
+      pttStreams.finishForSocket(preempted.socketId, "preempted");
+      floorControl.enqueue(floor, preempted, { front: true });
+
+      const talker = floorControl.grant(roomId, request);
+      floorControl.publish(roomId);
+      console.log(`${colors.red}🚨 ${username} interrumpió a ${preempted.username} en ${roomId}${colors.reset}`);
+      return { granted: true, expiresAt: talker.expiresAt, priority, preempted: preempted.userId };
+    }
+
+    if (floor.queue.length >= PTT_QUEUE_MAX) return { error: "QUEUE_FULL" };
+
+    const position = floorControl.enqueue(floor, request);
+    floorControl.publish(roomId);
+    return { queued: true, position, priority };
+  },
+
+  release: (roomId, userId) => {
+    const floor = state.pttFloors.get(roomId);
+    if (!floor) return false;
+
+    if (floor.talker?.userId === userId) {
+      floorControl.endTurn(roomId, "released");
+      return true;
+    }
+
+    const before = floor.queue.length;
+    floor.queue = floor.queue.filter((q) => q.userId !== userId);
+    if (floor.queue.length === before) return false;
+    floorControl.advance(roomId);
+    return true;
+  },
+
+  // Un socket que sale del canal (o se desconecta) pierde turno y lugar en la cola
+  dropSocket: (socketId, roomIds = Array.from(state.pttFloors.keys())) => {
+    roomIds.forEach((roomId) => {
+      const floor = state.pttFloors.get(roomId);
+      if (!floor) return;
+
+      const before = floor.queue.length;
+      floor.queue = floor.queue.filter((q) => q.socketId !== socketId);
+
+      if (floor.talker?.socketId === socketId) floorControl.endTurn(roomId, "left_channel");
+      else if (floor.queue.length !== before) floorControl.advance(roomId);
+    });
+  },
+
+  clear: (roomId) => {
+    const floor = state.pttFloors.get(roomId);
+    if (!floor) return;
+    clearTimeout(floor.timer);
+    if (floor.talker) pttStreams.finishForSocket(floor.talker.socketId, "channel_closed");
+    state.pttFloors.delete(roomId);
+  },
+
+  isTalker: (roomId, userId) => state.pttFloors.get(roomId)?.talker?.userId === userId,
+};
+
+// ============================================================
+// 📻 PUSH-TO-TALK: AUDIO EN VIVO POR CHUNKS
+// ============================================================
+// El cliente manda páginas Opus ya encapsuladas (Ogg/WebM) con número de secuencia:
+// se reenvían al canal al instante y al terminar se concatenan en orden en una sola grabación.
+const pttStreams = {
+  toBuffer: (data) => (Buffer.isBuffer(data) ? data : Buffer.from(data, "base64")),
+
+  start: ({ roomId, userId, username, socketId, mime }) => {
+    const streamId = uuidv4();
+    const now = Date.now();
+    const stream = {
+      streamId,
+      roomId,
+      userId,
+      username,
+      socketId,
+      mime: mime || PTT_STREAM_DEFAULT_MIME,
+      chunks: new Map(), // seq -> Buffer
+      bytes: 0,
+      startedAt: now,
+      lastChunkAt: now,
+      idleTimer: null,
+    };
+
+    state.pttStreams.set(streamId, stream);
+    pttStreams.touch(stream);
+    console.log(`${colors.magenta}📻 Stream ${streamId} iniciado por ${username} en ${roomId}${colors.reset}`);
+    return stream;
+  },
+
+  // Sin chunks durante PTT_STREAM_IDLE_MS se cierra y se guarda lo recibido
+  touch: (stream) => {
+    clearTimeout(stream.idleTimer);
+    stream.idleTimer = setTimeout(() => pttStreams.finish(stream.streamId, "idle_timeout"), PTT_STREAM_IDLE_MS);
+  },
+
+  addChunk: (stream, seq, data) => {
+    const buffer = pttStreams.toBuffer(data);
+
+    if (buffer.length > PTT_STREAM_MAX_CHUNK_BYTES) return { error: "CHUNK_TOO_LARGE" };
+    if (stream.chunks.has(seq)) return { duplicate: true };
+    if (stream.bytes + buffer.length > PTT_STREAM_MAX_BYTES) return { error: "STREAM_TOO_LARGE" };
+
+    stream.chunks.set(seq, buffer);
+    stream.bytes += buffer.length;
+    stream.lastChunkAt = Date.now();
+    pttStreams.touch(stream);
+    return { duplicate: false };
+  },
+
+  // Secuencias faltantes entre 0 y la última recibida
+  missingSeqs: (stream) => {
+    const seqs = Array.from(stream.chunks.keys());
+    const maxSeq = seqs.length ? Math.max(...seqs) : -1;
+    const missing = [];
+    for (let seq = 0; seq <= maxSeq; seq++) {
+      if (!stream.chunks.has(seq)) missing.push(seq);
+    }
+    return missing;
+  },
+
+  finish: async (streamId, reason = "ended", { durationMs } = {}) => {
+    const stream = state.pttStreams.get(streamId);
+    if (!stream) return null;
+
+    state.pttStreams.delete(streamId);
+    clearTimeout(stream.idleTimer);
+
+    const { roomId, userId, username } = stream;
+    const chunkCount = stream.chunks.size;
+    const missingSeqs = pttStreams.missingSeqs(stream);
+
+    io.to(roomId).emit("ptt_stream_ended", {
+      streamId,
+      roomId,
+      userId,
+      reason,
+      chunkCount,
+      missingSeqs,
+      timestamp: Date.now(),
+    });
+
+    console.log(`${colors.magenta}📻 Stream ${streamId} cerrado (${reason}): ${chunkCount} chunks, ${stream.bytes} bytes${colors.reset}`);
+    if (!chunkCount) return { streamId, chunkCount, missingSeqs, message: null };
+
+    try {
+      const buffer = Buffer.concat(
+        Array.from(stream.chunks.entries())
+          .sort(([a], [b]) => a - b)
+          .map(([, chunk]) => chunk)
+      );
+
+      const audioUrl = await storageService.saveAudioBufferToFirebase({
+        buffer,
+        mime: stream.mime,
+        userId,
+        roomId,
+      });
+
+      const message = await publishAudioMessage({
+        userId,
+        username,
+        roomId,
+        audioUrl,
+        durationMs: typeof durationMs === "number" ? durationMs : stream.lastChunkAt - stream.startedAt,
+        extra: { streamId, source: "ptt_stream", chunkCount },
+      });
+
+      return { streamId, chunkCount, missingSeqs, message };
+    } catch (error) {
+      console.error(`${colors.red}❌ No se pudo guardar el stream ${streamId}:${colors.reset}`, error.message);
+      return { streamId, chunkCount, missingSeqs, message: null, error: error.message };
+    }
+  },
+
+  // Al perder el turno (o desconectarse) se cierra el stream en curso de ese socket
+  finishForSocket: (socketId, reason) => {
+    state.pttStreams.forEach((stream) => {
+      if (stream.socketId === socketId) pttStreams.finish(stream.streamId, reason);
+    });
+  },
+};
+
+// ============================================================
+// 📞 SEÑALIZACIÓN WEBRTC PARA LLAMADAS DIRECTAS (1 A 1)
+// ============================================================
+// El servidor solo reenvía SDP e ICE: el audio viaja peer-to-peer (o por TURN).
+const callSignaling = {
+  get: (callId) => state.calls.get(callId),
+
+  activeCallOf: (userId) => state.calls.get(state.userCalls.get(userId)),
+
+  isParty: (call, userId) => call.callerId === userId || call.calleeId === userId,
+
+  peerOf: (call, userId) => (call.callerId === userId ? call.calleeId : call.callerId),
+
+  snapshot: (call) => ({
+    callId: call.callId,
+    callerId: call.callerId,
+    callerName: call.callerName,
+    calleeId: call.calleeId,
+    callType: call.callType,
+    emergencyUserId: call.emergencyUserId,
+    status: call.status,
+    reason: call.reason || null,
+    createdAt: call.createdAt,
+    answeredAt: call.answeredAt || null,
+    endedAt: call.endedAt || null,
+  }),
+
+  publish: (call) => {
+    const payload = callSignaling.snapshot(call);
+    utils.emitToUser(call.callerId, "call_state_changed", payload);
+    utils.emitToUser(call.calleeId, "call_state_changed", payload);
+  },
+
+  // Llamadas de emergencia: solo entre la víctima y un ayudante activo
+  checkEmergencyPair: (emergencyUserId, userA, userB) => {
+    if (!state.emergencyAlerts.has(emergencyUserId)) return "EMERGENCY_NOT_ACTIVE";
+    const other = userA === emergencyUserId ? userB : userB === emergencyUserId ? userA : null;
+    if (!other) return "NOT_EMERGENCY_PARTY";
+    if (!state.emergencyHelpers.get(emergencyUserId)?.has(other)) return "NOT_A_HELPER";
+    return null;
+  },
+
+  incomingPayload: (call) => ({
+    ...callSignaling.snapshot(call),
+    sdp: call.offer,
+    iceServers: CALL_ICE_SERVERS,
+  }),
+
+  create: ({ callerId, callerName, calleeId, sdp, callType, emergencyUserId }) => {
+    const call = {
+      callId: uuidv4(),
+      callerId,
+      callerName,
+      calleeId,
+      callType,
+      emergencyUserId: emergencyUserId || null,
+      offer: sdp,
+      status: CALL_STATES.RINGING,
+      createdAt: Date.now(),
+      ringTimer: null,
+    };
+
+    state.calls.set(call.callId, call);
+    state.userCalls.set(callerId, call.callId);
+    state.userCalls.set(calleeId, call.callId);
+
+    call.ringTimer = setTimeout(() => callSignaling.end(call, "no_answer"), CALL_RING_TIMEOUT_MS);
+    console.log(`${colors.cyan}📞 Llamada ${call.callId}: ${callerId} → ${calleeId}${emergencyUserId ? " (emergencia)" : ""}${colors.reset}`);
+    return call;
+  },
+
+  // Sockets del destinatario; si no tiene ninguno, push FCM
+  ring: async (call) => {
+    const delivered = utils.emitToUser(call.calleeId, "call_incoming", callSignaling.incomingPayload(call));
+    if (delivered > 0) return { calleeOnline: true, pushed: false };
+
+    const pushed = await sendPushNotification(
+      call.calleeId,
+      call.emergencyUserId ? "🚨 Llamada de emergencia" : "📞 Llamada entrante",
+      `${call.callerName} te está llamando`,
+      {
+        type: "incoming_call",
+        callId: call.callId,
+        callerId: call.callerId,
+        callerName: call.callerName,
+        callType: call.callType,
+        emergencyUserId: call.emergencyUserId || "",
+      }
+    );
+    return { calleeOnline: false, pushed };
+  },
+
+  // Al reconectar (p.ej. tras tocar la push) se vuelve a entregar la oferta pendiente
+  resendIncoming: (socket, userId) => {
+    const call = callSignaling.activeCallOf(userId);
+    if (call?.calleeId !== userId || call.status !== CALL_STATES.RINGING) return;
+    socket.emit("call_incoming", callSignaling.incomingPayload(call));
+  },
+
+  answer: (call, sdp) => {
+    clearTimeout(call.ringTimer);
+    call.ringTimer = null;
+    call.status = CALL_STATES.CONNECTED;
+    call.answeredAt = Date.now();
+
+    utils.emitToUser(call.callerId, "call_answer", { callId: call.callId, calleeId: call.calleeId, sdp });
+    callSignaling.publish(call);
+    console.log(`${colors.green}📞 Llamada ${call.callId} conectada${colors.reset}`);
+  },
+
+  end: (call, reason) => {
+    if (call.status === CALL_STATES.ENDED) return;
+
+    clearTimeout(call.ringTimer);
+    call.ringTimer = null;
+    call.status = CALL_STATES.ENDED;
+    call.reason = reason;
+    call.endedAt = Date.now();
+
+    state.calls.delete(call.callId);
+    [call.callerId, call.calleeId].forEach((userId) => {
+      if (state.userCalls.get(userId) === call.callId) state.userCalls.delete(userId);
+    });
+
+    callSignaling.publish(call);
+    callSignaling.persist(call);
+    console.log(`${colors.gray}📞 Llamada ${call.callId} terminada (${reason})${colors.reset}`);
+  },
+
+  endForUser: (userId, reason) => {
+    const call = callSignaling.activeCallOf(userId);
+    if (call) callSignaling.end(call, reason);
+  },
+
+  // Registro de la llamada (sin SDP) para historial
+  persist: async (call) => {
+    try {
+      await db.collection(COLLECTIONS.CALLS).doc(call.callId).set({
+        ...callSignaling.snapshot(call),
+        durationMs: call.answeredAt ? call.endedAt - call.answeredAt : 0,
+      });
+    } catch (e) {
+      console.warn(`${colors.yellow}⚠️ No se pudo guardar la llamada ${call.callId}:${colors.reset}`, e.message);
+    }
+  },
+};
+
+// ============================================================
+// 🎧 CONFERENCIA DE VOZ EN SALAS DE EMERGENCIA (MESH WEBRTC)
+// ============================================================
+// Topología mesh: quien entra ofrece a cada participante ya presente; el servidor
+// solo reenvía SDP/ICE y lleva el estado (participantes y micrófonos).
+const conference = {
+  victimOf: (roomId) => state.chatRooms.get(roomId)?.emergencyData?.userId || roomId.replace("emergencia_", ""),
+
+  // Solo la víctima y sus ayudantes activos
+  canJoin: (roomId, userId) => {
+    const victimId = conference.victimOf(roomId);
+    return userId === victimId || !!state.emergencyHelpers.get(victimId)?.has(userId);
+  },
+
+  get: (roomId) => {
+    if (!state.conferences.has(roomId)) {
+      state.conferences.set(roomId, {
+        roomId,
+        victimId: conference.victimOf(roomId),
+        participants: new Map(), // userId -> { userId, username, socketId, muted, joinedAt }
+        removed: new Set(),
+        startedAt: Date.now(),
+      });
+    }
+    return state.conferences.get(roomId);
+  },
+
+  participantsOf: (conf) =>
+    Array.from(conf?.participants.values() || []).map(({ userId, username, muted, joinedAt }) => ({
+      userId,
+      username,
+      muted,
+      joinedAt,
+      isVictim: userId === conf.victimId,
+    })),
+
+  snapshot: (roomId) => {
+    const conf = state.conferences.get(roomId);
+    return {
+      roomId,
+      topology: "mesh",
+      active: !!conf?.participants.size,
+      startedAt: conf?.startedAt || null,
+      participants: conference.participantsOf(conf),
+      timestamp: Date.now(),
+    };
+  },
+
+  // Toda la sala ve quién está en la conferencia, participe o no
+  publish: (roomId) => io.to(roomId).emit("conference_state", conference.snapshot(roomId)),
+
+  join: (roomId, { userId, username, socketId, muted = false }) => {
+    const conf = conference.get(roomId);
+    if (conf.removed.has(userId)) return { error: "REMOVED_BY_VICTIM" };
+
+    const existing = conf.participants.get(userId);
+    if (!existing && conf.participants.size >= CONFERENCE_MAX_PARTICIPANTS) return { error: "CONFERENCE_FULL" };
+
+    // Reconexión desde otro socket: reemplaza la conexión anterior
+    if (existing && existing.socketId !== socketId) {
+      io.to(existing.socketId).emit("conference_removed", { roomId, reason: "joined_elsewhere" });
+    }
+
+    const participant = { userId, username, socketId, muted, joinedAt: existing?.joinedAt || Date.now() };
+    conf.participants.set(userId, participant);
+
+    const peers = conference.participantsOf(conf).filter((p) => p.userId !== userId);
+    io.to(roomId).except(socketId).emit("conference_participant_joined", { roomId, userId, username, muted });
+    conference.publish(roomId);
+
+    console.log(`${colors.cyan}🎧 ${username} entró a la conferencia de ${roomId} (${conf.participants.size})${colors.reset}`);
+    return { participant, peers };
+  },
+
+  leave: (roomId, userId, reason = "left") => {
+    const conf = state.conferences.get(roomId);
+    const participant = conf?.participants.get(userId);
+    if (!participant) return false;
+
+    conf.participants.delete(userId);
+    io.to(roomId).emit("conference_participant_left", { roomId, userId, reason });
+
+    if (!conf.participants.size && !conf.removed.size) state.conferences.delete(roomId);
+    conference.publish(roomId);
+
+    console.log(`${colors.gray}🎧 ${participant.username} salió de la conferencia de ${roomId} (${reason})${colors.reset}`);
+    return participant;
+  },
+
+  // La víctima puede sacar a alguien; no puede volver a entrar en esta emergencia
+  remove: (roomId, userId, reason) => {
+    const conf = state.conferences.get(roomId);
+    if (!conf) return false;
+
+    conf.removed.add(userId);
+    const participant = conference.leave(roomId, userId, reason);
+    if (participant) io.to(participant.socketId).emit("conference_removed", { roomId, reason });
+    return !!participant;
+  },
+
+  setMuted: (roomId, userId, muted) => {
+    const participant = state.conferences.get(roomId)?.participants.get(userId);
+    if (!participant) return null;
+
+    participant.muted = muted;
+    io.to(roomId).emit("conference_mute_changed", { roomId, userId, muted });
+    conference.publish(roomId);
+    return participant;
+  },
+
+  dropSocket: (socketId, roomIds = Array.from(state.conferences.keys()), reason = "disconnected") => {
+    roomIds.forEach((roomId) => {
+      state.conferences.get(roomId)?.participants.forEach((participant, userId) => {
+        if (participant.socketId === socketId) conference.leave(roomId, userId, reason);
+      });
+    });
+  },
+
+  end: (roomId, reason) => {
+    const conf = state.conferences.get(roomId);
+    if (!conf) return;
+
+    conf.participants.forEach(({ socketId }) => io.to(socketId).emit("conference_ended", { roomId, reason }));
+    state.conferences.delete(roomId);
+  },
+};
+
+// ============================================================
+// 🗑️ FUNCIÓN PARA ELIMINAR HISTORIAL DE CHAT
+// ============================================================
+const deleteEmergencyChatHistory = async (emergencyRoomId) => {
+  try {
+    console.log(`${colors.blue}🗑️ Eliminando historial de chat para sala: ${emergencyRoomId}${colors.reset}`);
+    
+    const messagesSnapshot = await db.collection(COLLECTIONS.MESSAGES)
+      .where("roomId", "==", emergencyRoomId)
+      .get();
+    
+    const deletedCount = messagesSnapshot.docs.length;
+
+    for (let i = 0; i < deletedCount; i += FIRESTORE_BATCH_LIMIT) {
+      const batch = db.batch();
+      messagesSnapshot.docs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+    
+    if (deletedCount > 0) {
+      console.log(`${colors.green}✅ Eliminados ${deletedCount} mensajes de la sala ${emergencyRoomId}${colors.reset}`);
+    } else {
+      console.log(`${colors.gray}📭 No se encontraron mensajes para eliminar en ${emergencyRoomId}${colors.reset}`);
+    }
+    
+    return deletedCount;
+  } catch (error) {
+    console.error(`${colors.red}❌ Error eliminando historial de chat:${colors.reset}`, error);
+    throw error;
+  }
+};
+
+// ============================================================
+// 📜 ARCHIVO DE TRANSCRIPCIONES DE EMERGENCIA
+// ============================================================
+// La transcripción se guarda en emergencies/{id}/transcript (un doc por mensaje,
+// creado con create() para que no pueda sobrescribirse). Solo después de
+// archivar se vacía la sala en vivo. Se borra con purga explícita o al vencer.
+const transcriptService = {
+  archive: async (emergencyId, emergencyRoomId, { endReason = null } = {}) => {
+    const emergencyRef = db.collection(COLLECTIONS.EMERGENCIES).doc(emergencyId);
+    const transcriptRef = emergencyRef.collection("transcript");
+
+    const messagesSnapshot = await db.collection(COLLECTIONS.MESSAGES)
+      .where("roomId", "==", emergencyRoomId)
+      .get();
+
+    const now = Date.now();
+    let archivedCount = 0;
+    let audioCount = 0;
+
+    const toEntry = (doc) => {
+      const msg = doc.data() || {};
+      return {
+        messageId: msg.id || doc.id,
+        userId: msg.userId || null,
+        username: msg.username || null,
+        type: msg.type || "text",
+        text: msg.text ?? null,
+        audioUrl: msg.audioUrl || null,
+        durationMs: msg.durationMs ?? null,
+        timestamp: msg.timestamp || null,
+        archivedAt: now,
+      };
+    };
+
+    for (let i = 0; i < messagesSnapshot.docs.length; i += FIRESTORE_BATCH_LIMIT) {
+      const chunk = messagesSnapshot.docs.slice(i, i + FIRESTORE_BATCH_LIMIT);
+      let created = chunk;
+
+      try {
+        const batch = db.batch();
+        chunk.forEach((doc) => batch.create(transcriptRef.doc(doc.id), toEntry(doc)));
+        await batch.commit();
+      } catch (error) {
+        if (error.code !== 6) throw error; // ALREADY_EXISTS
+
+        // Re-archivo (reintento, resolve + cleanup): el batch es atómico, así que se crea
+        // mensaje por mensaje y los que ya estaban archivados quedan como estaban
+        created = [];
+        for (const doc of chunk) {
+          try {
+            await transcriptRef.doc(doc.id).create(toEntry(doc));
+            created.push(doc);
+          } catch (docError) {
+            if (docError.code !== 6) throw docError;
+          }
+        }
+      }
+
+      archivedCount += created.length;
+      audioCount += created.filter((doc) => doc.data()?.type === "audio").length;
+    }
+
+    // Los metadatos solo se escriben en el primer archivo: un re-archivo no reinicia
+    // la retención, no deshace una purga ni pisa los contadores
+    const firstArchive = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(emergencyRef);
+      if (snap.exists && snap.data()?.transcriptArchivedAt) return false;
+
+      tx.set(emergencyRef, {
+        transcriptArchivedAt: now,
+        transcriptRoomId: emergencyRoomId,
+        transcriptMessageCount: archivedCount,
+        transcriptAudioCount: audioCount,
+        transcriptRetentionUntil: now + TRANSCRIPT_RETENTION_MS,
+        transcriptPurgedAt: null,
+        transcriptEndReason: endReason,
+      }, { merge: true });
+      return true;
+    });
+
+    console.log(
+      `${colors.green}📜 Transcripción ${firstArchive ? "archivada" : "re-archivada"}: ${archivedCount} mensajes nuevos (${audioCount} audios) de ${emergencyRoomId}${colors.reset}`
+    );
+
+    return { archivedCount, audioCount, firstArchive };
+  },
+
+  get: async (emergencyId) => {
+    const emergencyRef = db.collection(COLLECTIONS.EMERGENCIES).doc(emergencyId);
+    const emergencyDoc = await emergencyRef.get();
+    if (!emergencyDoc.exists) return null;
+
+    const data = emergencyDoc.data() || {};
+    const snapshot = await emergencyRef.collection("transcript")
+      .orderBy("timestamp", "asc")
+      .get();
+
+    return {
+      info: {
+        archivedAt: data.transcriptArchivedAt || null,
+        roomId: data.transcriptRoomId || null,
+        messageCount: data.transcriptMessageCount || 0,
+        audioCount: data.transcriptAudioCount || 0,
+        retentionUntil: data.transcriptRetentionUntil || null,
+        purgedAt: data.transcriptPurgedAt || null,
+        purgeReason: data.transcriptPurgeReason || null,
+      },
+      messages: snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    };
+  },
+
+  purge: async (emergencyId, reason = "manual") => {
+    const emergencyRef = db.collection(COLLECTIONS.EMERGENCIES).doc(emergencyId);
+    const snapshot = await emergencyRef.collection("transcript").get();
+
+    // Primero los audios en Storage: si falla, los documentos siguen ahí para reintentar
+    const audioUrls = snapshot.docs
+      .map((doc) => doc.data()?.audioUrl)
+      .filter(Boolean);
+    const deletedAudios = await storageService.deleteAudiosByUrl(audioUrls);
+
+    for (let i = 0; i < snapshot.docs.length; i += FIRESTORE_BATCH_LIMIT) {
+      const batch = db.batch();
+      snapshot.docs.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+
+    await emergencyRef.set({
+      transcriptPurgedAt: Date.now(),
+      transcriptPurgeReason: reason,
+    }, { merge: true });
+
+    console.log(`${colors.yellow}🗑️ Transcripción purgada (${reason}): ${emergencyId} (${snapshot.size} mensajes, ${deletedAudios} audios)${colors.reset}`);
+    return snapshot.size;
+  },
+
+  purgeExpired: async () => {
+    try {
+      const expiredSnapshot = await db.collection(COLLECTIONS.EMERGENCIES)
+        .where("transcriptRetentionUntil", "<=", Date.now())
+        .get();
+
+      let purged = 0;
+      for (const doc of expiredSnapshot.docs) {
+        if (doc.data()?.transcriptPurgedAt) continue;
+        try {
+          await transcriptService.purge(doc.id, "retention_expired");
+          purged++;
+        } catch (error) {
+          // Queda sin transcriptPurgedAt y se reintenta en la próxima pasada
+          console.error(`${colors.red}❌ Error purgando transcripción ${doc.id}:${colors.reset}`, error.message);
+        }
+      }
+
+      if (purged > 0) {
+        console.log(`${colors.yellow}🧹 ${purged} transcripciones vencidas purgadas${colors.reset}`);
+      }
+      return purged;
+    } catch (error) {
+      console.error(`${colors.red}❌ Error purgando transcripciones vencidas:${colors.reset}`, error);
+      return 0;
+    }
+  },
+};
+
+// ============================================================
+// 🗂️ HISTORIAL DE INCIDENTES DE EMERGENCIA
+// ============================================================
+const incidentService = {
+  summarize: (doc) => {
+    const data = doc.data() || {};
+    const helperIds = Array.isArray(data.helperIds) ? data.helperIds : [];
+    return {
+      id: doc.id,
+      userId: data.userId || null,
+      userName: data.userName || data.username || null,
+      emergencyType: data.emergencyType || "general",
+      status: data.status || null,
+      isActive: data.isActive === true,
+      startedAt: data.startedAt || data.timestamp || data.createdAt || null,
+      endedAt: data.endedAt || null,
+      endReason: data.endReason || null,
+      roomId: data.roomId || data.emergencyRoomId || null,
+      latitude: data.latitude ?? null,
+      longitude: data.longitude ?? null,
+      helperIds,
+      helpersCount: helperIds.length,
+      transcriptArchivedAt: data.transcriptArchivedAt || null,
+      createdAt: data.createdAt || null,
+    };
+  },
+
+  listForUser: async (userId, { limit = 20, before = null } = {}) => {
+    let query = db.collection(COLLECTIONS.EMERGENCIES)
+      .where("userId", "==", userId)
+      .orderBy("createdAt", "desc");
+
+    if (before) query = query.startAfter(before);
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(incidentService.summarize);
+  },
+
+  getHelpers: async (incidentId) => {
+    const snapshot = await getEmergencyIncidentRef(incidentId).collection("active_helpers").get();
+    return snapshot.docs.map((doc) => ({ helperId: doc.id, ...doc.data() }));
+  },
+
+  // Trail de la víctima y de cada ayudante, en orden cronológico
+  getTrail: async (incidentId) => {
+    const incidentRef = getEmergencyIncidentRef(incidentId);
+    await locationPipeline.flush(incidentId).catch(() => {});
+
+    const [victimSnap, helpersSnap] = await Promise.all([
+      incidentRef.collection("locations").orderBy("timestamp", "asc").get(),
+      incidentRef.collection("helper_locations").orderBy("timestamp", "asc").get(),
+    ]);
+
+    const toPoint = (d) => ({
+      lat: d.lat,
+      lng: d.lng,
+      timestamp: d.timestamp || null,
+      accuracy: d.accuracy ?? null,
+    });
+
+    const helpers = {};
+    helpersSnap.docs.forEach((doc) => {
+      const d = doc.data() || {};
+      if (!d.helperId) return;
+      (helpers[d.helperId] = helpers[d.helperId] || []).push(toPoint(d));
+    });
+
+    return {
+      victim: victimSnap.docs.map((doc) => toPoint(doc.data() || {})),
+      helpers,
+    };
+  },
+
+  // Un track para la víctima y uno por ayudante, listos para exportar
+  getTracks: async (incidentId) => {
+    const doc = await getEmergencyIncidentRef(incidentId).get();
+    if (!doc.exists) return null;
+
+    const incident = doc.data() || {};
+    const [trail, helpers] = await Promise.all([
+      incidentService.getTrail(incidentId),
+      incidentService.getHelpers(incidentId),
+    ]);
+    const helperNames = new Map(helpers.map((h) => [h.helperId, h.helperName]));
+
+    const tracks = [{
+      role: "victim",
+      userId: incident.userId || null,
+      name: incident.userName || "Víctima",
+      points: trail.victim,
+    }];
+    Object.entries(trail.helpers).forEach(([helperId, points]) => {
+      tracks.push({ role: "helper", userId: helperId, name: helperNames.get(helperId) || helperId, points });
+    });
+
+    return { incident: incidentService.summarize(doc), tracks };
+  },
+
+  // Acepta epoch ms o Timestamp de Firestore
+  toIsoTime: (value) => {
+    const ms = typeof value?.toMillis === "function" ? value.toMillis() : Number(value);
+    return Number.isFinite(ms) && ms > 0 ? new Date(ms).toISOString() : null;
+  },
+
+  toGeoJSON: ({ incident, tracks }) => ({
+    type: "FeatureCollection",
+    properties: {
+      incidentId: incident.id,
+      userId: incident.userId || null,
+      emergencyType: incident.emergencyType || null,
+      startedAt: incidentService.toIsoTime(incident.startedAt),
+      endedAt: incidentService.toIsoTime(incident.endedAt),
+    },
+    features: tracks
+      .filter((track) => track.points.length > 0)
+      .map((track) => {
+        const coordinates = track.points.map((pt) => [pt.lng, pt.lat]);
+        return {
+          type: "Feature",
+          geometry: coordinates.length > 1
+            ? { type: "LineString", coordinates }
+            : { type: "Point", coordinates: coordinates[0] },
+          properties: {
+            role: track.role,
+            userId: track.userId,
+            name: track.name,
+            // Convención de togeojson/Mapbox para tiempos por vértice
+            coordTimes: track.points.map((pt) => incidentService.toIsoTime(pt.timestamp)),
+            accuracies: track.points.map((pt) => pt.accuracy),
+          },
+        };
+      }),
+  }),
+
+  toGPX: ({ incident, tracks }) => {
+    const esc = (value) => String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+
+    const trks = tracks
+      .filter((track) => track.points.length > 0)
+      .map((track) => {
+        const trkpts = track.points.map((pt) => [
+          `      <trkpt lat="${pt.lat}" lon="${pt.lng}">`,
+          pt.timestamp ? `        <time>${incidentService.toIsoTime(pt.timestamp)}</time>` : null,
+          pt.accuracy != null ? `        <extensions><a2i:accuracy>${esc(pt.accuracy)}</a2i:accuracy></extensions>` : null,
+          "      </trkpt>",
+        ].filter(Boolean).join("\n"));
+
+        return [
+          "  <trk>",
+          `    <name>${esc(track.name)}</name>`,
+          `    <type>${track.role}</type>`,
+          `    <extensions><a2i:userId>${esc(track.userId)}</a2i:userId></extensions>`,
+          "    <trkseg>",
+          ...trkpts,
+          "    </trkseg>",
+          "  </trk>",
+        ].join("\n");
+      });
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="A2Intento" xmlns="http://www.topografix.com/GPX/1/1" xmlns:a2i="urn:a2intento:gpx">',
+      "  <metadata>",
+      `    <name>Emergencia ${esc(incident.id)}</name>`,
+      incident.startedAt ? `    <time>${incidentService.toIsoTime(incident.startedAt)}</time>` : null,
+      "  </metadata>",
+      ...trks,
+      "</gpx>",
+      "",
+    ].filter((line) => line !== null).join("\n");
+  },
+};
+
+// Archiva la transcripción y recién entonces vacía la sala en vivo
+async function archiveEmergencyChatHistory(emergencyId, emergencyRoomId, endReason) {
+  const { archivedCount } = await transcriptService.archive(emergencyId, emergencyRoomId, { endReason });
+  await deleteEmergencyChatHistory(emergencyRoomId);
+  return archivedCount;
+}
+
+// ============================================================
+// 🧹 FUNCIÓN PARA LIMPIAR TOKENS INVALIDOS (OPCIONAL - CRON JOB)
+// ============================================================
+async function cleanupInvalidTokens() {
+  console.log(`${colors.cyan}🧹 Iniciando limpieza de tokens FCM inválidos...${colors.reset}`);
+  
+  try {
+    const usersSnapshot = await db.collection(COLLECTIONS.USERS).get();
+    let totalCleaned = 0;
+    let usersProcessed = 0;
+    
+    for (const doc of usersSnapshot.docs) {
+      const userId = doc.id;
+      const userData = doc.data() || {};
+      const tokens = Array.isArray(userData.fcmTokens) ? userData.fcmTokens : [];
+      
+      if (tokens.length === 0) continue;
+      
       // Verificar tokens en lote
       try {
         const response = await messaging.sendEachForMulticast({
@@ -999,67 +3951,324 @@ const storageService = {
       const filePath = `vehicles/${userId}/${vehicleId}_${Date.now()}_${uuidv4()}.${ext}`;
       const file = bucket.file(filePath);
 
-      console.log(`${colors.yellow}⬆️ Subiendo foto de vehículo → ${filePath}${colors.reset}`);
+      console.log(`${colors.yellow}⬆️ Subiendo foto de vehículo → ${filePath}${colors.reset}`);
+
+      await file.save(buffer, {
+        contentType: mime,
+        resumable: false,
+        metadata: {
+          cacheControl: 'public, max-age=31536000',
+        }
+      });
+
+      await file.makePublic();
+      const url = file.publicUrl();
+
+      console.log(`${colors.green}✅ Foto de vehículo subida:${colors.reset} ${url}`);
+      return url;
+    } catch (error) {
+      console.error(`${colors.red}❌ Error subiendo foto de vehículo:${colors.reset}`, error);
+      throw error;
+    }
+  },
+
+  saveBase64AudioToFirebase: async ({ base64, mime = "audio/mpeg", userId, roomId, ext }) =>
+    storageService.saveAudioBufferToFirebase({ buffer: Buffer.from(base64, "base64"), mime, userId, roomId, ext }),
+
+  saveAudioBufferToFirebase: async ({ buffer, mime = "audio/mpeg", userId, roomId, ext }) => {
+    try {
+      if (buffer.length > 20 * 1024 * 1024) {
+        throw new Error("Archivo de audio demasiado grande (>20MB)");
+      }
+
+      let extension = ext;
+      if (!extension) {
+        if (mime.includes("mpeg") || mime.includes("mp3")) extension = "mp3";
+        else if (mime.includes("mp4") || mime.includes("aac") || mime.includes("m4a")) extension = "m4a";
+        else if (mime.includes("webm")) extension = "webm";
+        else if (mime.includes("ogg") || mime.includes("opus")) extension = "ogg";
+        else extension = "mp3";
+      }
+
+      const objectPath = `audios/${roomId}/${userId}/${Date.now()}_${uuidv4()}.${extension}`;
+      const file = bucket.file(objectPath);
+
+      await file.save(buffer, {
+        contentType: mime,
+        resumable: false,
+        gzip: false,
+        metadata: {
+          cacheControl: "public, max-age=31536000",
+          metadata: { userId, roomId },
+        },
+      });
+
+      await file.makePublic();
+      const url = file.publicUrl();
+      
+      console.log(`${colors.green}✅ Audio subido a Storage:${colors.reset} ${url}`);
+      return url;
+    } catch (error) {
+      console.error(`${colors.red}❌ Error guardando audio:${colors.reset}`, error);
+      throw error;
+    }
+  },
+
+  // audioUrl directo, data URL o base64 suelto (+ mime/ext); roomId solo arma la ruta en Storage
+  resolveAudioUrl: async (data, { userId, roomId }) => {
+    if (data.audioUrl && /^https?:\/\//i.test(data.audioUrl)) {
+      console.log(`${colors.green}✅ audioUrl directo provisto${colors.reset}`);
+      return data.audioUrl;
+    }
+
+    if (typeof data.audioDataUrl === "string" && data.audioDataUrl.startsWith("data:audio/")) {
+      const mime = (data.audioDataUrl.match(/^data:(audio\/[a-zA-Z0-9.+-]+);base64,/) || [])[1] || "audio/mpeg";
+      const base64 = data.audioDataUrl.split("base64,")[1] || "";
+      return storageService.saveBase64AudioToFirebase({ base64, mime, userId, roomId });
+    }
+
+    if (typeof data.audioData === "string" && data.audioData.length > 0) {
+      const mime = typeof data.mime === "string" && data.mime.startsWith("audio/") ? data.mime : "audio/mpeg";
+      return storageService.saveBase64AudioToFirebase({
+        base64: data.audioData,
+        mime,
+        userId,
+        roomId,
+        ext: data.ext
+      });
+    }
+
+    return data.audioUrl || null;
+  },
+
+  // Ruta del objeto en nuestro bucket a partir de su URL pública; null si el audio es externo
+  audioObjectPath: (url) => {
+    try {
+      const { pathname } = new URL(url);
+      const prefix = `/${bucket.name}/`;
+      if (!pathname.startsWith(prefix)) return null;
+      const objectPath = decodeURIComponent(pathname.slice(prefix.length));
+      return objectPath.startsWith("audios/") ? objectPath : null;
+    } catch {
+      return null;
+    }
+  },
+
+  deleteAudiosByUrl: async (urls) => {
+    const paths = [...new Set(urls.map(storageService.audioObjectPath).filter(Boolean))];
+    const results = await Promise.allSettled(
+      paths.map((objectPath) => bucket.file(objectPath).delete({ ignoreNotFound: true }))
+    );
+
+    const failed = results.filter((r) => r.status === "rejected");
+    if (failed.length > 0) {
+      throw new Error(`No se pudieron eliminar ${failed.length} audios de Storage: ${failed[0].reason?.message}`);
+    }
+    return paths.length;
+  },
+};
+
+// ============================================================
+// 🎧 PUBLICAR MENSAJE DE AUDIO (FIRESTORE + SALA + PUSH A AUSENTES)
+// ============================================================
+async function publishAudioMessage({ userId, username, roomId, audioUrl, durationMs, extra = {} }) {
+  const message = {
+    id: uuidv4(),
+    userId,
+    username,
+    roomId,
+    type: "audio",
+    audioUrl,
+    content: "[Audio]",
+    durationMs: typeof durationMs === "number" ? durationMs : undefined,
+    timestamp: Date.now(),
+    ...extra,
+  };
+
+  await db.collection(COLLECTIONS.MESSAGES).add(message);
+
+  const room = state.chatRooms.get(roomId);
+  roomService.countMessage(roomId);
+
+  io.to(roomId).emit("audio_message", message);
+
+  const roomUsers = room ? Array.from(room.users) : [];
+  
+  for (const targetUserId of roomUsers) {
+    if (targetUserId === userId) continue;
+    
+    const isPresent = utils.isUserPresentInRoom(targetUserId, roomId);
+    
+    if (!isPresent) {
+      await sendPushNotification(
+        targetUserId,
+        "🎧 Mensaje de audio",
+        `${username} envió un audio`,
+        {
+          type: "audio_message",
+          roomId: roomId,
+          userId: userId,
+          username: username,
+          timestamp: Date.now().toString(),
+        }
+      );
+    }
+  }
+
+  if (roomId.startsWith("emergencia_")) {
+    console.log(`${colors.red}🚨 ${username} → EMERGENCIA ${roomId}: [Audio]${colors.reset}`);
+  } else {
+    console.log(`${colors.magenta}🎧 ${username} → ${roomId}: [Audio] URL=${audioUrl}${colors.reset}`);
+  }
+
+  return message;
+}
+
+// ============================================================
+// 💌 MENSAJES DIRECTOS (CONVERSACIONES 1 A 1)
+// ============================================================
+// conversations/{dm_a_b} guarda participantes, último mensaje y no leídos por usuario;
+// el historial va en la subcolección messages. El id sale de los dos UIDs ordenados,
+// así la conversación se crea sola con el primer mensaje y nunca se duplica.
+const directMessages = {
+  conversationId: (userId, peerId) => `dm_${[userId, peerId].sort().join("_")}`,
+
+  ref: (conversationId) => db.collection(COLLECTIONS.CONVERSATIONS).doc(conversationId),
+
+  messagesRef: (conversationId) => directMessages.ref(conversationId).collection("messages"),
+
+  open: async (userId, peerId) => {
+    const conversationId = directMessages.conversationId(userId, peerId);
+    const ref = directMessages.ref(conversationId);
+
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (snap.exists) return snap.data();
+
+      const now = Date.now();
+      const conversation = {
+        id: conversationId,
+        participants: [userId, peerId].sort(),
+        usernames: {},
+        unread: { [userId]: 0, [peerId]: 0 },
+        lastReadAt: {},
+        lastMessage: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      tx.set(ref, conversation);
+      console.log(`${colors.cyan}💌 Conversación creada: ${conversationId}${colors.reset}`);
+      return conversation;
+    });
+  },
+
+  preview: (message) => ({
+    id: message.id,
+    userId: message.userId,
+    username: message.username,
+    type: message.type,
+    text: message.type === "text" ? message.text.slice(0, 200) : "[Audio]",
+    timestamp: message.timestamp,
+  }),
+
+  // Vista de la bandeja para un participante
+  summary: (conversation, userId) => {
+    const peerId = conversation.participants.find((id) => id !== userId);
+    return {
+      conversationId: conversation.id,
+      peerId,
+      peerUsername: conversation.usernames?.[peerId] || null,
+      lastMessage: conversation.lastMessage || null,
+      unreadCount: conversation.unread?.[userId] || 0,
+      peerLastReadAt: conversation.lastReadAt?.[peerId] || null,
+      updatedAt: conversation.updatedAt,
+    };
+  },
+
+  send: async ({ userId, username, peerId, content }) => {
+    const conversation = await directMessages.open(userId, peerId);
+    const message = {
+      id: uuidv4(),
+      conversationId: conversation.id,
+      userId,
+      username,
+      recipientId: peerId,
+      ...content,
+      timestamp: Date.now(),
+    };
 
-      await file.save(buffer, {
-        contentType: mime,
-        resumable: false,
-        metadata: {
-          cacheControl: 'public, max-age=31536000',
+    await directMessages.messagesRef(conversation.id).doc(message.id).set(message);
+    await directMessages.ref(conversation.id).set(
+      {
+        lastMessage: directMessages.preview(message),
+        updatedAt: message.timestamp,
+        usernames: { [userId]: username },
+        unread: { [peerId]: admin.firestore.FieldValue.increment(1) },
+      },
+      { merge: true }
+    );
+
+    // Todos los dispositivos de ambos; sin conexión del destinatario → push
+    utils.emitToUser(userId, "direct_message", message);
+    const delivered = utils.emitToUser(peerId, "direct_message", message) > 0;
+
+    if (!delivered) {
+      const isAudio = message.type === "audio";
+      await sendPushNotification(
+        peerId,
+        isAudio ? `🎧 Audio de ${username}` : `💌 ${username}`,
+        isAudio ? `${username} te envió un audio` : message.text,
+        {
+          type: "direct_message",
+          conversationId: conversation.id,
+          messageId: message.id,
+          userId,
+          username,
+          messageType: message.type,
+          timestamp: message.timestamp.toString(),
         }
-      });
+      );
+    }
 
-      await file.makePublic();
-      const url = file.publicUrl();
+    console.log(`${colors.magenta}💌 ${username} → ${peerId} (${message.type})${delivered ? "" : " [push]"}${colors.reset}`);
+    return { message, delivered };
+  },
 
-      console.log(`${colors.green}✅ Foto de vehículo subida:${colors.reset} ${url}`);
-      return url;
-    } catch (error) {
-      console.error(`${colors.red}❌ Error subiendo foto de vehículo:${colors.reset}`, error);
-      throw error;
-    }
+  history: async (userId, peerId, { before, limit = DM_HISTORY_PAGE_SIZE } = {}) => {
+    let query = directMessages.messagesRef(directMessages.conversationId(userId, peerId))
+      .orderBy("timestamp", "desc");
+    if (before) query = query.startAfter(before);
+
+    const snap = await query.limit(limit).get();
+    return snap.docs.map((doc) => doc.data()).reverse();
   },
 
-  saveBase64AudioToFirebase: async ({ base64, mime = "audio/mpeg", userId, roomId, ext }) => {
-    try {
-      const buffer = Buffer.from(base64, "base64");
-      
-      if (buffer.length > 20 * 1024 * 1024) {
-        throw new Error("Archivo de audio demasiado grande (>20MB)");
-      }
+  inbox: async (userId, { limit = DM_INBOX_PAGE_SIZE } = {}) => {
+    const snap = await db.collection(COLLECTIONS.CONVERSATIONS)
+      .where("participants", "array-contains", userId)
+      .orderBy("updatedAt", "desc")
+      .limit(limit)
+      .get();
 
-      let extension = ext;
-      if (!extension) {
-        if (mime.includes("mpeg") || mime.includes("mp3")) extension = "mp3";
-        else if (mime.includes("mp4") || mime.includes("aac") || mime.includes("m4a")) extension = "m4a";
-        else if (mime.includes("webm")) extension = "webm";
-        else if (mime.includes("ogg") || mime.includes("opus")) extension = "ogg";
-        else extension = "mp3";
-      }
+    const conversations = snap.docs.map((doc) => directMessages.summary(doc.data(), userId));
+    return {
+      conversations,
+      totalUnread: conversations.reduce((sum, c) => sum + c.unreadCount, 0),
+    };
+  },
 
-      const objectPath = `audios/${roomId}/${userId}/${Date.now()}_${uuidv4()}.${extension}`;
-      const file = bucket.file(objectPath);
+  markRead: async (userId, peerId) => {
+    const conversationId = directMessages.conversationId(userId, peerId);
+    const ref = directMessages.ref(conversationId);
+    if (!(await ref.get()).exists) return null;
 
-      await file.save(buffer, {
-        contentType: mime,
-        resumable: false,
-        gzip: false,
-        metadata: {
-          cacheControl: "public, max-age=31536000",
-          metadata: { userId, roomId },
-        },
-      });
+    const readAt = Date.now();
+    await ref.set({ unread: { [userId]: 0 }, lastReadAt: { [userId]: readAt } }, { merge: true });
 
-      await file.makePublic();
-      const url = file.publicUrl();
-      
-      console.log(`${colors.green}✅ Audio subido a Storage:${colors.reset} ${url}`);
-      return url;
-    } catch (error) {
-      console.error(`${colors.red}❌ Error guardando audio:${colors.reset}`, error);
-      throw error;
-    }
-  }
+    utils.emitToUser(peerId, "direct_messages_read", { conversationId, userId, readAt });
+    utils.emitToUser(userId, "direct_messages_read", { conversationId, userId, readAt });
+    return { conversationId, readAt };
+  },
 };
 
 // ============================================================
@@ -1090,6 +4299,7 @@ function initializeDefaultRooms() {
   defaultRooms.forEach(room => {
     state.chatRooms.set(room.id, {
       ...room,
+      system: true,
       users: new Set(),
       createdAt: Date.now(),
       messageCount: 0
@@ -1102,31 +4312,710 @@ function initializeDefaultRooms() {
   });
 }
 
+// ============================================================
+// 🗂️ CANALES PERSISTENTES (FIRESTORE rooms)
+// ============================================================
+// Las salas por defecto se guardan como `system` (solo contadores); los canales de
+// usuario guardan además dueño, capacidad y miembros. Las de emergencia no se persisten.
+const roomService = {
+  ref: (roomId) => db.collection(COLLECTIONS.ROOMS).doc(roomId),
+
+  isPersisted: (room) => !!room && room.type !== "emergency",
+
+  isUserChannel: (room) => roomService.isPersisted(room) && !room.system,
+
+  summary: (room) => ({
+    id: room.id,
+    name: room.name,
+    type: room.type,
+    description: room.description,
+    ownerId: room.ownerId || null,
+    capacity: room.capacity || null,
+    userCount: room.users.size,
+    memberCount: room.members?.size || 0,
+    hasPasscode: !!room.passcodeHash,
+    messageCount: room.messageCount,
+    createdAt: room.createdAt,
+  }),
+
+  toDoc: (room) => ({
+    id: room.id,
+    name: room.name,
+    type: room.type,
+    description: room.description || "",
+    ownerId: room.ownerId || null,
+    capacity: room.capacity || null,
+    system: !!room.system,
+    members: Array.from(room.members || []),
+    invited: Array.from(room.invited || []),
+    banned: Array.from(room.banned || []),
+    joinRequests: Object.fromEntries(room.joinRequests || []),
+    passcodeHash: room.passcodeHash || null,
+    passcodeSalt: room.passcodeSalt || null,
+    messageCount: room.messageCount || 0,
+    createdAt: room.createdAt,
+    updatedAt: Date.now(),
+  }),
+
+  // Al arrancar: salas por defecto sin pisar contadores + canales de usuario
+  load: async () => {
+    const batch = db.batch();
+    state.chatRooms.forEach((room) => {
+      if (!room.system) return;
+      const { id, name, type, description } = room;
+      batch.set(roomService.ref(id), { id, name, type, description, system: true }, { merge: true });
+    });
+    await batch.commit();
+
+    const snap = await db.collection(COLLECTIONS.ROOMS).get();
+    let channels = 0;
+    snap.forEach((doc) => {
+      const data = doc.data() || {};
+      const existing = state.chatRooms.get(doc.id);
+
+      if (existing) {
+        existing.messageCount = data.messageCount || 0;
+        return;
+      }
+
+      state.chatRooms.set(doc.id, {
+        id: doc.id,
+        name: data.name,
+        type: data.type,
+        description: data.description || "",
+        ownerId: data.ownerId || null,
+        capacity: data.capacity || null,
+        members: new Set(data.members || []),
+        invited: new Set(data.invited || []),
+        banned: new Set(data.banned || []),
+        joinRequests: new Map(Object.entries(data.joinRequests || {})),
+        passcodeHash: data.passcodeHash || null,
+        passcodeSalt: data.passcodeSalt || null,
+        users: new Set(),
+        createdAt: data.createdAt || Date.now(),
+        messageCount: data.messageCount || 0,
+      });
+      channels++;
+    });
+
+    console.log(`${colors.green}✅ Salas cargadas desde Firestore: ${channels} canales de usuario${colors.reset}`);
+  },
+
+  canManage: (room, actorId, role) => room.ownerId === actorId || authz.can(role, "rooms:manage_any"),
+
+  create: async ({ ownerId, name, description = "", type = ROOM_TYPES.PUBLIC, capacity, passcode }) => {
+    const owned = Array.from(state.chatRooms.values())
+      .filter((room) => roomService.isUserChannel(room) && room.ownerId === ownerId).length;
+    if (owned >= ROOM_MAX_PER_OWNER) return { error: "ROOM_LIMIT_REACHED" };
+
+    const now = Date.now();
+    const room = {
+      id: `canal_${uuidv4()}`,
+      name: name.trim(),
+      type,
+      description,
+      ownerId,
+      capacity: capacity || ROOM_DEFAULT_CAPACITY,
+      members: new Set([ownerId]),
+      invited: new Set(),
+      banned: new Set(),
+      joinRequests: new Map(),
+      users: new Set(),
+      createdAt: now,
+      messageCount: 0,
+    };
+    if (passcode) await roomAccess.setPasscode(room, passcode);
+
+    await roomService.ref(room.id).set(roomService.toDoc(room));
+    state.chatRooms.set(room.id, room);
+    io.emit("room_created", roomService.summary(room));
+
+    console.log(`${colors.green}🗂️ Canal creado: ${room.name} (${room.id}) por ${ownerId}${colors.reset}`);
+    return { room };
+  },
+
+  update: async (room, patch) => {
+    const changes = Object.fromEntries(
+      ["name", "description", "type", "capacity"]
+        .filter((key) => patch[key] !== undefined)
+        .map((key) => [key, key === "name" ? patch[key].trim() : patch[key]])
+    );
+
+    // Deja de ser PTT: se corta el turno en curso
+    if (changes.type && changes.type !== ROOM_TYPES.PTT && room.type === ROOM_TYPES.PTT) {
+      floorControl.clear(room.id);
+    }
+
+    Object.assign(room, changes);
+    const passcodeFields = patch.passcode !== undefined ? await roomAccess.setPasscode(room, patch.passcode) : {};
+    await roomService.ref(room.id).set({ ...changes, ...passcodeFields, updatedAt: Date.now() }, { merge: true });
+    io.emit("room_updated", roomService.summary(room));
+    return room;
+  },
+
+  remove: async (room, reason = "deleted") => {
+    const sockets = io.sockets.adapter.rooms.get(room.id);
+    Array.from(sockets || []).forEach((socketId) => {
+      const s = io.sockets.sockets.get(socketId);
+      if (!s) return;
+      s.leave(room.id);
+      if (s.currentRoom === room.id) s.currentRoom = null;
+    });
+
+    floorControl.clear(room.id);
+    state.chatRooms.delete(room.id);
+    await roomService.ref(room.id).delete();
+    io.emit("room_deleted", { roomId: room.id, reason }); // una sola vez: los miembros ya no están en la sala
+
+    console.log(`${colors.yellow}🗑️ Canal eliminado: ${room.name} (${room.id})${colors.reset}`);
+  },
+
+  // Agrega o quita un userId de una lista persistida del canal (members, invited, banned)
+  setListEntry: (room, listName, userId, present) => {
+    if (!roomService.isUserChannel(room) || room[listName].has(userId) === present) return false;
+
+    if (present) room[listName].add(userId);
+    else room[listName].delete(userId);
+
+    const { FieldValue } = admin.firestore;
+    roomService.ref(room.id)
+      .set({ [listName]: present ? FieldValue.arrayUnion(userId) : FieldValue.arrayRemove(userId) }, { merge: true })
+      .catch((e) => console.warn(`${colors.yellow}⚠️ No se pudo actualizar ${listName} de ${room.id}:${colors.reset}`, e.message));
+    return true;
+  },
+
+  addMember: (room, userId) => roomService.setListEntry(room, "members", userId, true),
+
+  removeMember: (room, userId) => roomService.setListEntry(room, "members", userId, false),
+
+  countMessage: (roomId) => {
+    const room = state.chatRooms.get(roomId);
+    if (!room) return;
+    room.messageCount++;
+    if (!roomService.isPersisted(room)) return;
+
+    roomService.ref(roomId)
+      .set({ messageCount: admin.firestore.FieldValue.increment(1) }, { merge: true })
+      .catch((e) => console.warn(`${colors.yellow}⚠️ No se pudo actualizar contador de ${roomId}:${colors.reset}`, e.message));
+  },
+};
+
+// ============================================================
+// 🔐 ACCESO A SALAS (MIEMBROS, INVITACIONES, CLAVES Y BANEOS)
+// ============================================================
+const roomAccess = {
+  // scrypt asíncrono: corre en el threadpool de libuv, no bloquea el event loop
+  hashPasscode: (passcode, salt = crypto.randomBytes(16).toString("hex")) =>
+    new Promise((resolve, reject) => {
+      crypto.scrypt(passcode, salt, 32, (err, key) => (err ? reject(err) : resolve({ salt, hash: key.toString("hex") })));
+    }),
+
+  // Fallos por usuario en la sala y por sala completa; al pasar el umbral se bloquea el ingreso con clave
+  failureKeys: (room, userId) => [
+    { key: `${room.id}:${userId}`, max: ROOM_PASSCODE_MAX_FAILURES },
+    { key: room.id, max: ROOM_PASSCODE_ROOM_MAX_FAILURES },
+  ],
+
+  lockedFor: (room, userId) => {
+    const now = Date.now();
+    return Math.max(0, ...roomAccess.failureKeys(room, userId)
+      .map(({ key }) => (state.passcodeFailures.get(key)?.lockedUntil || 0) - now));
+  },
+
+  recordFailure: (room, userId) => {
+    const now = Date.now();
+    roomAccess.failureKeys(room, userId).forEach(({ key, max }) => {
+      let entry = state.passcodeFailures.get(key);
+      if (!entry || now - entry.firstAt > ROOM_PASSCODE_FAILURE_WINDOW_MS || (entry.lockedUntil && now >= entry.lockedUntil)) {
+        entry = { count: 0, firstAt: now, lockedUntil: 0 };
+      }
+      entry.count++;
+      if (entry.count >= max) entry.lockedUntil = now + ROOM_PASSCODE_LOCKOUT_MS;
+      state.passcodeFailures.set(key, entry);
+    });
+  },
+
+  prunePasscodeFailures: () => {
+    const now = Date.now();
+    state.passcodeFailures.forEach((entry, key) => {
+      if (entry.lockedUntil < now && now - entry.firstAt > ROOM_PASSCODE_FAILURE_WINDOW_MS) state.passcodeFailures.delete(key);
+    });
+  },
+
+  // null si la clave es correcta; si no, INVALID_PASSCODE o PASSCODE_LOCKED
+  verifyPasscode: async (room, userId, passcode) => {
+    if (roomAccess.lockedFor(room, userId) > 0) return "PASSCODE_LOCKED";
+
+    const { hash } = await roomAccess.hashPasscode(passcode, room.passcodeSalt);
+    if (crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(room.passcodeHash, "hex"))) {
+      state.passcodeFailures.delete(`${room.id}:${userId}`);
+      return null;
+    }
+
+    roomAccess.recordFailure(room, userId);
+    return "INVALID_PASSCODE";
+  },
+
+  // null si puede entrar sin más; si no, el código de rechazo (la clave se valida en authorize)
+  check: (room, userId, { role } = {}) => {
+    if (room.type === "emergency") {
+      const victimId = conference.victimOf(room.id);
+      if (helperRoster.isParticipant(victimId, userId)) return null;
+      return authz.can(role, "emergencies:join_any") ? null : "NOT_EMERGENCY_PARTY";
+    }
+
+    if (!roomService.isUserChannel(room)) return null;
+    if (room.banned.has(userId)) return "BANNED";
+    if (room.ownerId === userId || room.members.has(userId) || room.invited.has(userId)) return null;
+
+    if (room.passcodeHash) return "PASSCODE_REQUIRED";
+    return room.type === ROOM_TYPES.PRIVATE ? "INVITE_REQUIRED" : null;
+  },
+
+  // check + verificación de la clave si hace falta y vino en el payload
+  authorize: async (room, userId, { passcode, role } = {}) => {
+    const accessError = roomAccess.check(room, userId, { role });
+    if (accessError !== "PASSCODE_REQUIRED" || typeof passcode !== "string") return accessError;
+    return roomAccess.verifyPasscode(room, userId, passcode);
+  },
+
+  setJoinRequest: (room, userId, request) => {
+    if (request) room.joinRequests.set(userId, request);
+    else if (!room.joinRequests.delete(userId)) return;
+
+    roomService.ref(room.id)
+      .set({ joinRequests: { [userId]: request || admin.firestore.FieldValue.delete() } }, { merge: true })
+      .catch((e) => console.warn(`${colors.yellow}⚠️ No se pudo guardar la solicitud de ${userId}:${colors.reset}`, e.message));
+  },
+
+  setPasscode: async (room, passcode) => {
+    const { hash, salt } = passcode ? await roomAccess.hashPasscode(passcode) : { hash: null, salt: null };
+    room.passcodeHash = hash;
+    room.passcodeSalt = salt;
+    return { passcodeHash: hash, passcodeSalt: salt };
+  },
+
+  // Para publicar hay que estar dentro o poder entrar sin clave ni invitación
+  canPost: (socket, room, userId) =>
+    socket.rooms.has(room.id) || !roomAccess.check(room, userId, { role: socket.role }),
+
+  // Saca todas las conexiones del usuario de la sala
+  evict: (room, userId, reason) => {
+    const entry = state.connectedUsers.get(userId);
+    (entry ? Array.from(entry.sockets) : []).forEach((socketId) => {
+      const s = io.sockets.sockets.get(socketId);
+      if (!s?.rooms.has(room.id)) return;
+      s.leave(room.id);
+      if (s.currentRoom === room.id) s.currentRoom = null;
+      floorControl.dropSocket(socketId, [room.id]);
+    });
+
+    room.users.delete(userId);
+    if (entry?.userData.currentRoom === room.id) entry.userData.currentRoom = null;
+    if (room.type === "emergency") conference.leave(room.id, userId, reason);
+
+    utils.emitToUser(userId, "room_access_revoked", { roomId: room.id, reason });
+    utils.updateRoomUserList(room.id);
+  },
+
+  // Avisa por socket o, si no está conectado, por push
+  notify: async (userId, event, payload, { title, body }) => {
+    if (utils.emitToUser(userId, event, payload) > 0) return;
+    await sendPushNotification(userId, title, body, { type: event, roomId: payload.roomId });
+  },
+
+  snapshot: (room) => ({
+    roomId: room.id,
+    ownerId: room.ownerId,
+    members: Array.from(room.members),
+    invited: Array.from(room.invited),
+    banned: Array.from(room.banned),
+    joinRequests: Array.from(room.joinRequests.entries()).map(([userId, request]) => ({ userId, ...request })),
+    hasPasscode: !!room.passcodeHash,
+  }),
+};
+
 // ============================================================
 // 🌐 ENDPOINTS REST - SALAS DE CHAT
 // ============================================================
 app.get("/health", (_, res) => res.status(200).send("Servidor operativo 🚀"));
 
+// ============================================================
+// 🔐 AUTENTICACIÓN (FIREBASE ID TOKEN)
+// ============================================================
+const auth = {
+  // Token desde el header Authorization: Bearer, o desde el handshake de Socket.IO
+  extractToken: ({ headers = {}, auth: handshakeAuth = {}, query = {} } = {}) => {
+    const header = headers.authorization || headers.Authorization || "";
+    if (typeof header === "string" && header.startsWith("Bearer ")) return header.slice(7).trim();
+    if (typeof handshakeAuth.token === "string" && handshakeAuth.token) return handshakeAuth.token;
+    if (typeof query.token === "string" && query.token) return query.token;
+    return null;
+  },
+
+  verify: async (token) => {
+    if (!token) return { ok: false, code: "UNAUTHENTICATED", message: "Token de autenticación requerido" };
+    try {
+      const decoded = await admin.auth().verifyIdToken(token);
+      return { ok: true, decoded };
+    } catch (e) {
+      const code = e.code === "auth/id-token-expired" ? "TOKEN_EXPIRED" : "INVALID_TOKEN";
+      return { ok: false, code, message: "Token de autenticación inválido" };
+    }
+  },
+
+  // Revisa que los campos de identidad del payload coincidan con el UID; completa los que faltan
+  checkPayload: (event, payload, uid) => {
+    if (!payload || typeof payload !== "object" || Array.isArray(payload)) return null;
+    const fields = SOCKET_IDENTITY_FIELDS[event] || ["userId"];
+
+    for (const field of fields) {
+      if (payload[field] === undefined || payload[field] === null || payload[field] === "") {
+        payload[field] = uid;
+      } else if (String(payload[field]) !== uid) {
+        return field;
+      }
+    }
+    return null;
+  },
+};
+
+// ============================================================
+// 🛡️ AUTORIZACIÓN POR ROLES
+// ============================================================
+const authz = {
+  resolveRole: async (decoded) => {
+    if (Object.values(ROLES).includes(decoded?.role)) return decoded.role;
+    if (!decoded?.uid) return ROLES.USER;
+
+    const cached = state.userRoles.get(decoded.uid);
+    if (cached && Date.now() - cached.loadedAt < ROLE_CACHE_TTL_MS) return cached.role;
+
+    let role = ROLES.USER;
+    try {
+      const doc = await db.collection(COLLECTIONS.USERS).doc(decoded.uid).get();
+      if (Object.values(ROLES).includes(doc.data()?.role)) role = doc.data().role;
+    } catch (e) {
+      console.warn(`${colors.yellow}⚠️ No se pudo leer el rol de ${decoded.uid}:${colors.reset}`, e.message);
+    }
+    state.userRoles.set(decoded.uid, { role, loadedAt: Date.now() });
+    return role;
+  },
+
+  // Sin autenticación (modo desarrollo) no hay roles que chequear
+  can: (role, permission) => !AUTH_REQUIRED || (ROLE_PERMISSIONS[role] || []).includes(permission),
+
+  forbidden: (res, message = "Permiso insuficiente") =>
+    res.status(403).json({ success: false, code: "FORBIDDEN", error: message }),
+
+  // Middleware de ruta: permiso del rol, o `allowIf(req)` para recursos propios
+  require: (permission, { allowIf } = {}) => (req, res, next) => {
+    if (authz.can(req.role, permission) || allowIf?.(req)) return next();
+    return authz.forbidden(res);
+  },
+};
+
+// Express: límite por IP antes de verificar el token, así una ráfaga sin autenticar no llega a Firebase
+app.use((req, res, next) => rateLimiter.rejectRest(res, rateLimiter.check("rest", { ip: req.ip })) || next());
+
+// Express: todas las rutas declaradas a partir de acá requieren token
+app.use(async (req, res, next) => {
+  if (!AUTH_REQUIRED) return next();
+
+  const result = await auth.verify(auth.extractToken(req));
+  if (!result.ok) {
+    return res.status(401).json({ success: false, code: result.code, error: result.message });
+  }
+
+  req.user = result.decoded;
+  req.role = await authz.resolveRole(req.user);
+  if (req.body?.userId && String(req.body.userId) !== req.user.uid && !authz.can(req.role, "users:manage_any")) {
+    return res.status(403).json({ success: false, code: "USER_MISMATCH", error: "userId no coincide con el usuario autenticado" });
+  }
+  next();
+});
+
+// Rutas con :userId operan sobre el usuario autenticado, salvo roles con acceso a otros
+app.param("userId", (req, res, next, userId) => {
+  if (!AUTH_REQUIRED || userId === req.user?.uid) return next();
+
+  const permission = req.method === "GET" ? "users:read_any" : "users:manage_any";
+  if (authz.can(req.role, permission)) return next();
+
+  return res.status(403).json({ success: false, code: "USER_MISMATCH", error: "userId no coincide con el usuario autenticado" });
+});
+
+// Rutas con :emergencyId: solo la víctima, sus ayudantes o roles con acceso a todas
+app.param("emergencyId", async (req, res, next, emergencyId) => {
+  if (!AUTH_REQUIRED) return next();
+  try {
+    const doc = await getEmergencyIncidentRef(emergencyId).get();
+    if (!doc.exists) return next(); // la ruta responde 404
+
+    const data = doc.data() || {};
+    const uid = req.user.uid;
+    req.incidentAccess = {
+      isOwner: data.userId === uid,
+      isParticipant: data.userId === uid || (Array.isArray(data.helperIds) && data.helperIds.includes(uid)),
+    };
+
+    if (req.incidentAccess.isParticipant || authz.can(req.role, "emergencies:read_all")) return next();
+    return authz.forbidden(res, "No participaste de esta emergencia");
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============================================================
+// 🚦 RATE LIMITING (TOKEN BUCKETS POR EVENTO, USUARIO E IP)
+// ============================================================
+const rateLimiter = {
+  limitFor: (name) => RATE_LIMITS[name] || RATE_LIMITS.default,
+
+  // Misma regla que "trust proxy" de Express: se recorre X-Forwarded-For desde el final, un salto por proxy propio
+  clientIp: (headers = {}, address = "") => {
+    if (TRUST_PROXY_HOPS <= 0) return address || "unknown";
+
+    const forwarded = typeof headers["x-forwarded-for"] === "string"
+      ? headers["x-forwarded-for"].split(",").map((ip) => ip.trim()).filter(Boolean)
+      : [];
+    const chain = [address, ...forwarded.reverse()];
+    return chain[Math.min(TRUST_PROXY_HOPS, chain.length - 1)] || "unknown";
+  },
+
+  take: (key, { capacity, refillPerSec }, cost = 1) => {
+    const now = Date.now();
+    const bucket = state.rateBuckets.get(key) || { tokens: capacity, updatedAt: now };
+
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSec);
+    bucket.updatedAt = now;
+    state.rateBuckets.set(key, bucket);
+
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      return { ok: true };
+    }
+    return { ok: false, retryAfterMs: Math.ceil(((cost - bucket.tokens) / refillPerSec) * 1000) };
+  },
+
+  // Bucket del usuario (si se conoce) y bucket de la IP, más generoso
+  check: (name, { userId, ip }) => {
+    const limit = rateLimiter.limitFor(name);
+
+    if (userId) {
+      const byUser = rateLimiter.take(`user:${name}:${userId}`, limit);
+      if (!byUser.ok) return { ...byUser, scope: "user" };
+    }
+    if (ip) {
+      const byIp = rateLimiter.take(`ip:${name}:${ip}`, {
+        capacity: limit.capacity * RATE_LIMIT_IP_MULTIPLIER,
+        refillPerSec: limit.refillPerSec * RATE_LIMIT_IP_MULTIPLIER,
+      });
+      if (!byIp.ok) return { ...byIp, scope: "ip" };
+    }
+    return { ok: true };
+  },
+
+  // Cuenta violaciones del socket y lo silencia si abusa
+  recordViolation: (socket) => {
+    const now = Date.now();
+    const info = socket.rateLimit || (socket.rateLimit = { violations: [], mutedUntil: 0 });
+
+    info.violations = info.violations.filter((ts) => now - ts < RATE_LIMIT_MUTE_WINDOW_MS);
+    info.violations.push(now);
+
+    if (info.violations.length >= RATE_LIMIT_MUTE_THRESHOLD && info.mutedUntil <= now) {
+      info.mutedUntil = now + RATE_LIMIT_MUTE_MS;
+      info.violations = [];
+      console.warn(`${colors.red}🔇 Socket ${socket.id} (${socket.userId || "?"}) silenciado ${RATE_LIMIT_MUTE_MS / 1000}s por abuso${colors.reset}`);
+      socket.emit("rate_limit_muted", { mutedUntil: info.mutedUntil, retryAfterMs: RATE_LIMIT_MUTE_MS });
+    }
+  },
+
+  mutedFor: (socket) => Math.max(0, (socket.rateLimit?.mutedUntil || 0) - Date.now()),
+
+  // Buckets llenos de nuevo no aportan nada: se descartan
+  prune: () => {
+    const now = Date.now();
+    state.rateBuckets.forEach((bucket, key) => {
+      const name = key.split(":")[1];
+      const { capacity, refillPerSec } = rateLimiter.limitFor(name);
+      if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * refillPerSec >= capacity) {
+        state.rateBuckets.delete(key);
+      }
+    });
+  },
+
+  // Responde 429 si el resultado no pasa; devuelve true cuando ya respondió
+  rejectRest: (res, result) => {
+    if (result.ok) return false;
+    res.set("Retry-After", String(Math.ceil(result.retryAfterMs / 1000)));
+    res.status(429).json(rateLimiter.rejection(result.retryAfterMs, { scope: result.scope }));
+    return true;
+  },
+
+  rejection: (retryAfterMs, extra = {}) => ({
+    success: false,
+    code: "RATE_LIMITED",
+    message: "Demasiadas solicitudes, intentá de nuevo más tarde",
+    retryAfterMs,
+    ...extra,
+  }),
+};
+
+// Express: la IP se limita antes de la autenticación (ver más arriba); acá, el usuario autenticado
+app.use((req, res, next) => rateLimiter.rejectRest(res, rateLimiter.check("rest", { userId: req.user?.uid })) || next());
+
+// ============================================================
+// 📐 VALIDACIÓN CENTRAL DE PAYLOADS
+// ============================================================
+const validation = {
+  ...schemaValidation, // checkValue, validate y rejection (lib/validation.js)
+
+  // Express: valida y reemplaza req.body por la versión limpia
+  body: (schemaKey) => {
+    const schema = REST_SCHEMAS[schemaKey];
+    return (req, res, next) => {
+      const result = validation.validate(schema, req.body);
+      if (!result.ok) {
+        console.warn(`${colors.yellow}📐 ${schemaKey} rechazado:${colors.reset}`, result.errors);
+        return res.status(400).json(validation.rejection(result.errors));
+      }
+      req.body = result.value;
+      next();
+    };
+  },
+};
+
+// Identidad y permisos del token actual
+app.get("/auth/me", (req, res) => {
+  res.json({
+    success: true,
+    uid: req.user?.uid || null,
+    role: req.role || null,
+    permissions: ROLE_PERMISSIONS[req.role] || [],
+    authRequired: AUTH_REQUIRED,
+    tokenIssuedAt: req.user?.iat ? req.user.iat * 1000 : null,
+    tokenExpiresAt: req.user?.exp ? req.user.exp * 1000 : null,
+  });
+});
+
+// Socket.IO: el handshake debe traer un ID token válido
+io.use(async (socket, next) => {
+  if (!AUTH_REQUIRED) return next();
+
+  const result = await auth.verify(auth.extractToken(socket.handshake));
+  if (!result.ok) {
+    const err = new Error(result.message);
+    err.data = { code: result.code };
+    return next(err);
+  }
+
+  socket.userId = result.decoded.uid;
+  socket.authToken = result.decoded;
+  socket.role = await authz.resolveRole(result.decoded);
+  next();
+});
+
 app.get("/users", (_, res) =>
   res.json(
     Array.from(state.connectedUsers.values()).map((u) => ({
-      ...u.userData,
+      ...locationPrivacy.sanitizeUser(u.userData),
       socketCount: u.sockets.size,
     }))
   )
 );
 
+// Usuarios cercanos a un punto: por radio (?radiusKm) o los k más cercanos (?k)
+app.get("/users/nearby", async (req, res) => {
+  try {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return res.status(400).json({ success: false, error: "lat y lng son requeridos" });
+    }
+
+    const includeOffline = req.query.includeOffline === "true";
+    const k = Number(req.query.k);
+
+    if (k > 0) {
+      const { radiusKm, users } = await geoIndex.nearest(lat, lng, Math.min(k, 100), { includeOffline });
+      const visible = locationPrivacy.sanitizeNearby(users);
+      return res.json({ success: true, radiusKm, count: visible.length, users: visible });
+    }
+
+    const radiusKm = Math.min(Number(req.query.radiusKm) || 5, GEO_NEAREST_MAX_RADIUS_KM);
+    let users = geoIndex.queryRadius(lat, lng, radiusKm).map((u) => ({ ...u, isOnline: true }));
+    if (includeOffline) {
+      const offline = (await geoIndex.queryRadiusOffline(lat, lng, radiusKm))
+        .filter((u) => !state.connectedUsers.has(u.userId))
+        .map((u) => ({ ...u, isOnline: false }));
+      users = users.concat(offline).sort((a, b) => a.distanceKm - b.distanceKm);
+    }
+
+    const visible = locationPrivacy.sanitizeNearby(users);
+    res.json({ success: true, radiusKm, count: visible.length, users: visible });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error buscando usuarios cercanos:${colors.reset}`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get("/users/:userId/location-settings", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const settings = state.locationSettings.has(userId)
+      ? locationPrivacy.get(userId)
+      : await locationPrivacy.load(userId);
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.put("/users/:userId/location-settings", validation.body("PUT /users/:userId/location-settings"), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { mode, fuzzRadiusM } = req.body;
+
+    if (!state.locationSettings.has(userId)) await locationPrivacy.load(userId);
+    const settings = await locationPrivacy.update(userId, { mode, fuzzRadiusM });
+    res.json({ success: true, settings });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error guardando ajustes de ubicación:${colors.reset}`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// 💌 Bandeja de mensajes directos e historial con otro usuario (?before=timestamp&limit=n)
+const dmPageOptions = (query, defaultLimit) => ({
+  limit: Math.min(Number(query.limit) || defaultLimit, DM_MAX_PAGE_SIZE),
+  before: Number(query.before) || undefined,
+});
+
+app.get("/users/:userId/conversations", async (req, res) => {
+  try {
+    const inbox = await directMessages.inbox(req.params.userId, dmPageOptions(req.query, DM_INBOX_PAGE_SIZE));
+    res.json({ success: true, ...inbox });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error obteniendo conversaciones:${colors.reset}`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+app.get("/users/:userId/conversations/:peerId/messages", async (req, res) => {
+  try {
+    const { userId, peerId } = req.params;
+    const messages = await directMessages.history(userId, peerId, dmPageOptions(req.query, DM_HISTORY_PAGE_SIZE));
+    res.json({ success: true, conversationId: directMessages.conversationId(userId, peerId), messages });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error obteniendo mensajes directos:${colors.reset}`, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
 app.get("/rooms", (req, res) => {
   try {
-    const roomsArray = Array.from(state.chatRooms.values()).map(room => ({
-      id: room.id,
-      name: room.name,
-      type: room.type,
-      description: room.description,
-      userCount: room.users.size,
-      messageCount: room.messageCount,
-      createdAt: room.createdAt
-    }));
+    const roomsArray = Array.from(state.chatRooms.values()).map(roomService.summary);
 
     res.json({
       success: true,
@@ -1148,9 +5037,16 @@ app.get("/rooms/:roomId", (req, res) => {
       return res.status(404).json({ success: false, message: "Sala no encontrada" });
     }
 
+    // Sin acceso (privado, con clave, emergencia ajena o baneo) solo se ve el listado de GET /rooms.
+    // Sin AUTH_REQUIRED no hay identidad verificada contra la cual chequear.
+    const accessError = AUTH_REQUIRED ? roomAccess.check(room, req.user.uid, { role: req.role }) : null;
+    if (accessError) {
+      return res.status(403).json({ success: false, code: accessError, message: ROOM_ACCESS_MESSAGES[accessError] });
+    }
+
     const roomInfo = {
-      ...room,
-      userCount: room.users.size,
+      ...roomService.summary(room),
+      members: Array.from(room.members || []),
       users: Array.from(room.users).map(userId => {
         const user = state.connectedUsers.get(userId);
         return user ? { 
@@ -1168,10 +5064,64 @@ app.get("/rooms/:roomId", (req, res) => {
   }
 });
 
+app.post("/rooms", validation.body("POST /rooms"), async (req, res) => {
+  try {
+    const { userId, name, description, type, capacity, passcode } = req.body;
+    const result = await roomService.create({ ownerId: req.user?.uid || userId, name, description, type, capacity, passcode });
+
+    if (result.error) {
+      return res.status(409).json({ success: false, code: result.error, message: `Máximo ${ROOM_MAX_PER_OWNER} canales por usuario` });
+    }
+    res.status(201).json({ success: true, room: roomService.summary(result.room) });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error creando canal:${colors.reset}`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.patch("/rooms/:roomId", validation.body("PATCH /rooms/:roomId"), async (req, res) => {
+  try {
+    const { userId, ...patch } = req.body;
+    const room = state.chatRooms.get(req.params.roomId);
+
+    if (!roomService.isUserChannel(room)) {
+      return res.status(404).json({ success: false, code: "ROOM_NOT_FOUND", message: "Canal no encontrado" });
+    }
+    if (!roomService.canManage(room, req.user?.uid || userId, req.role)) {
+      return authz.forbidden(res, "Solo el dueño puede editar el canal");
+    }
+
+    await roomService.update(room, patch);
+    res.json({ success: true, room: roomService.summary(room) });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error editando canal:${colors.reset}`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete("/rooms/:roomId", validation.body("DELETE /rooms/:roomId"), async (req, res) => {
+  try {
+    const room = state.chatRooms.get(req.params.roomId);
+
+    if (!roomService.isUserChannel(room)) {
+      return res.status(404).json({ success: false, code: "ROOM_NOT_FOUND", message: "Canal no encontrado" });
+    }
+    if (!roomService.canManage(room, req.user?.uid || req.body.userId, req.role)) {
+      return authz.forbidden(res, "Solo el dueño puede borrar el canal");
+    }
+
+    await roomService.remove(room);
+    res.json({ success: true, roomId: room.id });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error borrando canal:${colors.reset}`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ============================================================
 // 🚨 ENDPOINTS PARA EMERGENCIAS
 // ============================================================
-app.get("/emergencies/active", async (req, res) => {
+app.get("/emergencies/active", authz.require("emergencies:read_all"), async (req, res) => {
   try {
     console.log(`${colors.cyan}🚨 GET /emergencies/active${colors.reset}`);
     
@@ -1191,9 +5141,13 @@ app.get("/emergencies/active", async (req, res) => {
   }
 });
 
-app.get("/emergencies/:userId/helpers", async (req, res) => {
+// :victimId (no :userId) para que los ayudantes también pasen; el acceso se chequea acá
+app.get("/emergencies/:victimId/helpers", async (req, res) => {
   try {
-    const { userId } = req.params;
+    const { victimId: userId } = req.params;
+    if (AUTH_REQUIRED && !helperRoster.isParticipant(userId, req.user.uid) && !authz.can(req.role, "emergencies:read_all")) {
+      return authz.forbidden(res, "No participás de esta emergencia");
+    }
     console.log(`${colors.cyan}👥 GET /emergencies/${userId}/helpers${colors.reset}`);
 
     const helpersSet = state.emergencyHelpers.get(userId) || new Set();
@@ -1202,7 +5156,8 @@ app.get("/emergencies/:userId/helpers", async (req, res) => {
     res.json({ 
       success: true, 
       helpers,
-      count: helpers.length 
+      count: helpers.length,
+      roster: helperRoster.snapshot(userId)
     });
   } catch (error) {
     console.error(`${colors.red}❌ Error obteniendo ayudantes:${colors.reset}`, error);
@@ -1210,19 +5165,161 @@ app.get("/emergencies/:userId/helpers", async (req, res) => {
   }
 });
 
+app.get("/users/:userId/emergencies", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const before = req.query.before ? Number(req.query.before) : null;
+    const includeTrail = req.query.includeTrail === "true";
+
+    console.log(`${colors.cyan}🗂️ GET /users/${userId}/emergencies${colors.reset}`, { limit, before, includeTrail });
+
+    const incidents = await incidentService.listForUser(userId, { limit, before });
+
+    if (includeTrail) {
+      for (const incident of incidents) {
+        incident.trail = await incidentService.getTrail(incident.id);
+      }
+    }
+
+    const last = incidents[incidents.length - 1];
+    res.json({
+      success: true,
+      userId,
+      emergencies: incidents,
+      count: incidents.length,
+      nextBefore: incidents.length === limit && last ? last.createdAt : null
+    });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error obteniendo historial de emergencias:${colors.reset}`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get("/emergencies/:emergencyId", async (req, res) => {
+  try {
+    const { emergencyId } = req.params;
+    console.log(`${colors.cyan}🗂️ GET /emergencies/${emergencyId}${colors.reset}`);
+
+    const doc = await getEmergencyIncidentRef(emergencyId).get();
+    if (!doc.exists) {
+      return res.status(404).json({ success: false, message: "Emergencia no encontrada" });
+    }
+
+    // Incluir ubicaciones y estados todavía en el buffer
+    await locationPipeline.flush(emergencyId).catch(() => {});
+
+    const [helpers, trail] = await Promise.all([
+      incidentService.getHelpers(emergencyId),
+      incidentService.getTrail(emergencyId),
+    ]);
+
+    res.json({
+      success: true,
+      emergency: {
+        ...incidentService.summarize(doc),
+        helpers,
+        trail
+      }
+    });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error obteniendo emergencia:${colors.reset}`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get("/emergencies/:emergencyId/trail.geojson", async (req, res) => {
+  try {
+    const { emergencyId } = req.params;
+    console.log(`${colors.cyan}🗺️ GET /emergencies/${emergencyId}/trail.geojson${colors.reset}`);
+
+    const exported = await incidentService.getTracks(emergencyId);
+    if (!exported) {
+      return res.status(404).json({ success: false, message: "Emergencia no encontrada" });
+    }
+
+    res.set("Content-Type", "application/geo+json; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="emergencia_${emergencyId}.geojson"`);
+    res.send(JSON.stringify(incidentService.toGeoJSON(exported)));
+  } catch (error) {
+    console.error(`${colors.red}❌ Error exportando GeoJSON:${colors.reset}`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get("/emergencies/:emergencyId/trail.gpx", async (req, res) => {
+  try {
+    const { emergencyId } = req.params;
+    console.log(`${colors.cyan}🗺️ GET /emergencies/${emergencyId}/trail.gpx${colors.reset}`);
+
+    const exported = await incidentService.getTracks(emergencyId);
+    if (!exported) {
+      return res.status(404).json({ success: false, message: "Emergencia no encontrada" });
+    }
+
+    res.set("Content-Type", "application/gpx+xml; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="emergencia_${emergencyId}.gpx"`);
+    res.send(incidentService.toGPX(exported));
+  } catch (error) {
+    console.error(`${colors.red}❌ Error exportando GPX:${colors.reset}`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.get("/emergencies/:emergencyId/transcript", async (req, res) => {
+  try {
+    const { emergencyId } = req.params;
+    console.log(`${colors.cyan}📜 GET /emergencies/${emergencyId}/transcript${colors.reset}`);
+
+    const transcript = await transcriptService.get(emergencyId);
+    if (!transcript) {
+      return res.status(404).json({ success: false, message: "Emergencia no encontrada" });
+    }
+
+    res.json({
+      success: true,
+      emergencyId,
+      transcript: transcript.info,
+      messages: transcript.messages,
+      count: transcript.messages.length
+    });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error obteniendo transcripción:${colors.reset}`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+app.delete("/emergencies/:emergencyId/transcript", authz.require("transcripts:delete_any", {
+  allowIf: (req) => req.incidentAccess?.isOwner,
+}), async (req, res) => {
+  try {
+    const { emergencyId } = req.params;
+    console.log(`${colors.cyan}🗑️ DELETE /emergencies/${emergencyId}/transcript${colors.reset}`);
+
+    const emergencyDoc = await db.collection(COLLECTIONS.EMERGENCIES).doc(emergencyId).get();
+    if (!emergencyDoc.exists) {
+      return res.status(404).json({ success: false, message: "Emergencia no encontrada" });
+    }
+
+    const purgedCount = await transcriptService.purge(emergencyId, "manual");
+
+    res.json({
+      success: true,
+      message: `Transcripción purgada (${purgedCount} mensajes)`,
+      purgedCount
+    });
+  } catch (error) {
+    console.error(`${colors.red}❌ Error purgando transcripción:${colors.reset}`, error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
 // ============================================================
 // 🔥 NUEVOS ENDPOINTS PARA GESTIÓN DE TOKENS FCM
 // ============================================================
-app.post("/fcm/cleanup-tokens", async (req, res) => {
+app.post("/fcm/cleanup-tokens", authz.require("fcm:cleanup"), validation.body("POST /fcm/cleanup-tokens"), async (req, res) => {
   try {
     const { userId, invalidTokens } = req.body;
-    
-    if (!userId || !Array.isArray(invalidTokens)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "userId y invalidTokens array son requeridos" 
-      });
-    }
 
     const userRef = db.collection(COLLECTIONS.USERS).doc(userId);
     let removedCount = 0;
@@ -1284,7 +5381,9 @@ app.post("/fcm/cleanup-tokens", async (req, res) => {
   }
 });
 
-app.get("/fcm/user-tokens/:userId", async (req, res) => {
+app.get("/fcm/user-tokens/:userId", authz.require("fcm:diagnostics", {
+  allowIf: (req) => req.params.userId === req.user?.uid,
+}), async (req, res) => {
   try {
     const { userId } = req.params;
     const userDoc = await db.collection(COLLECTIONS.USERS).doc(userId).get();
@@ -1322,16 +5421,9 @@ app.get("/fcm/user-tokens/:userId", async (req, res) => {
   }
 });
 
-app.post("/fcm/refresh-token", async (req, res) => {
+app.post("/fcm/refresh-token", validation.body("POST /fcm/refresh-token"), async (req, res) => {
   try {
     const { userId, oldToken, newToken, deviceId } = req.body;
-    
-    if (!userId || !newToken) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "userId y newToken son requeridos" 
-      });
-    }
 
     const userRef = db.collection(COLLECTIONS.USERS).doc(userId);
     const now = Date.now();
@@ -1506,9 +5598,9 @@ app.get("/vehicles/:userId/:vehicleId", async (req, res) => {
   }
 });
 
-app.post("/vehicles", async (req, res) => {
+app.post("/vehicles", validation.body("POST /vehicles"), async (req, res) => {
   try {
-    const vehicleData = req.body;
+    const vehicleData = req.body; // ya sin campos desconocidos
     console.log(`${colors.cyan}🚗 POST /vehicles${colors.reset}`, {
       userId: vehicleData.userId,
       type: vehicleData.type,
@@ -1517,20 +5609,6 @@ app.post("/vehicles", async (req, res) => {
       model: vehicleData.model
     });
 
-    if (!vehicleData.userId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "userId es requerido" 
-      });
-    }
-
-    if (!vehicleData.type || !['CAR', 'MOTORCYCLE', 'BICYCLE'].includes(vehicleData.type)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Tipo de vehículo inválido" 
-      });
-    }
-
     let result;
     const now = Date.now();
 
@@ -1636,20 +5714,13 @@ app.delete("/vehicles/:userId/:vehicleId", async (req, res) => {
   }
 });
 
-app.post("/vehicles/:userId/primary", async (req, res) => {
+app.post("/vehicles/:userId/primary", validation.body("POST /vehicles/:userId/primary"), async (req, res) => {
   try {
     const { userId } = req.params;
     const { vehicleId } = req.body;
     
     console.log(`${colors.cyan}🎯 POST /vehicles/${userId}/primary${colors.reset}`, { vehicleId });
 
-    if (!vehicleId) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "vehicleId es requerido" 
-      });
-    }
-
     const vehicleDoc = await db.collection(COLLECTIONS.VEHICLES).doc(vehicleId).get();
     
     if (!vehicleDoc.exists) {
@@ -1701,17 +5772,10 @@ app.post("/vehicles/:userId/primary", async (req, res) => {
   }
 });
 
-app.post("/vehicles/photo", async (req, res) => {
+app.post("/vehicles/photo", validation.body("POST /vehicles/photo"), async (req, res) => {
   try {
     const { userId, vehicleId, imageData } = req.body;
 
-    if (!userId || !vehicleId || !imageData || !utils.isDataUrl(imageData)) {
-      return res.status(400).json({ 
-        success: false, 
-        message: "Datos inválidos: userId, vehicleId e imageData son requeridos" 
-      });
-    }
-
     console.log(`${colors.yellow}⬆️ Subiendo foto para vehículo ${vehicleId} de usuario ${userId}${colors.reset}`);
 
     const vehicleDoc = await db.collection(COLLECTIONS.VEHICLES).doc(vehicleId).get();
@@ -1761,6 +5825,71 @@ app.post("/vehicles/photo", async (req, res) => {
 io.on("connection", (socket) => {
   console.log(`${colors.cyan}🔗 NUEVA CONEXIÓN SOCKET:${colors.reset} ${socket.id}`);
 
+  // 🚦 Rate limiting por evento (usuario + IP) y silencio temporal ante abuso
+  const socketIp = rateLimiter.clientIp(socket.handshake.headers, socket.handshake.address);
+  socket.use((packet, next) => {
+    const [event] = packet;
+    const ack = packet[packet.length - 1];
+    const reply = (body) => typeof ack === "function" && ack(body);
+
+    const mutedMs = rateLimiter.mutedFor(socket);
+    if (mutedMs > 0 && !RATE_LIMIT_MUTE_EXEMPT_EVENTS.has(event)) {
+      return reply(rateLimiter.rejection(mutedMs, { muted: true }));
+    }
+
+    const result = rateLimiter.check(event, { userId: socket.userId, ip: socketIp });
+    if (result.ok) return next();
+
+    console.warn(`${colors.yellow}🚦 ${event} limitado (${result.scope}) para ${socket.userId || socket.id}${colors.reset}`);
+    rateLimiter.recordViolation(socket);
+    reply(rateLimiter.rejection(result.retryAfterMs, { event, scope: result.scope }));
+  });
+
+  // 🔐 Ningún evento puede actuar en nombre de otro usuario
+  socket.use((packet, next) => {
+    if (!AUTH_REQUIRED) return next();
+
+    const [event, payload] = packet;
+    const mismatchedField = auth.checkPayload(event, payload, socket.userId);
+    if (!mismatchedField) return next();
+
+    // 🛡️ Roles con permiso pueden forzar la acción sobre otro usuario
+    const forcePermission = SOCKET_FORCE_PERMISSIONS[event];
+    if (forcePermission && payload?.force === true && authz.can(socket.role, forcePermission)) {
+      console.log(`${colors.magenta}🛡️ ${event} forzado por ${socket.userId} (${socket.role}) sobre ${payload[mismatchedField]}${colors.reset}`);
+      return next();
+    }
+
+    console.warn(`${colors.yellow}🚫 ${event} rechazado: ${mismatchedField} no coincide con ${socket.userId}${colors.reset}`);
+    const ack = packet[packet.length - 1];
+    if (typeof ack === "function") {
+      ack({
+        success: false,
+        code: "USER_MISMATCH",
+        message: `${mismatchedField} no coincide con el usuario autenticado`,
+      });
+    }
+  });
+
+  // 📐 Payloads validados contra SOCKET_SCHEMAS (sin campos desconocidos)
+  socket.use((packet, next) => {
+    const [event] = packet;
+    const schema = SOCKET_SCHEMAS[event];
+    if (!schema) return next();
+
+    const hasPayload = packet.length > 1 && typeof packet[1] !== "function";
+    const result = validation.validate(schema, hasPayload ? packet[1] : undefined);
+    if (result.ok) {
+      if (hasPayload) packet[1] = result.value;
+      else packet.splice(1, 0, result.value);
+      return next();
+    }
+
+    console.warn(`${colors.yellow}📐 ${event} rechazado:${colors.reset}`, result.errors);
+    const ack = packet[packet.length - 1];
+    if (typeof ack === "function") ack(validation.rejection(result.errors));
+  });
+
   // ============================================================
   // 🔑 EVENTO: REGISTRAR TOKEN FCM (MEJORADO)
   // ============================================================
@@ -1768,10 +5897,6 @@ io.on("connection", (socket) => {
   try {
     const { userId, fcmToken, deviceId, platform, deviceModel } = data;
 
-    if (!userId || !fcmToken) {
-      return callback?.({ success: false, message: "userId y fcmToken requeridos" });
-    }
-
     // ✅ Ideal: que venga siempre desde Android (DeviceIdProvider)
     const uniqueDeviceId =
       (typeof deviceId === "string" && deviceId.trim().length > 0)
@@ -1830,14 +5955,6 @@ io.on("connection", (socket) => {
 socket.on("user-connected", async (user = {}, ack) => {
   console.log(`${colors.blue}📥 Evento → user-connected:${colors.reset}`, user);
 
-  // ✅ Validación mínima
-  if (!user || !user.id) {
-    const msg = "⚠️ Datos de usuario inválidos (id requerido)";
-    console.warn(`${colors.yellow}${msg}${colors.reset}`);
-    ack?.({ success: false, message: msg });
-    return;
-  }
-
   const userId = String(user.id).trim();
   if (!userId) {
     const msg = "⚠️ userId vacío";
@@ -1863,9 +5980,12 @@ socket.on("user-connected", async (user = {}, ack) => {
   const generalRoom = state.chatRooms.get(defaultRoom);
   if (generalRoom) generalRoom.users.add(userId);
 
+  // 🕶️ Ajustes de privacidad antes de tocar la ubicación
+  await locationPrivacy.load(userId);
+
   const now = Date.now();
   const incomingLoc =
-    (typeof user.lat === "number" && typeof user.lng === "number")
+    (typeof user.lat === "number" && typeof user.lng === "number" && locationPrivacy.canStore(userId))
       ? { lat: user.lat, lng: user.lng, ts: now }
       : undefined;
 
@@ -1895,6 +6015,8 @@ socket.on("user-connected", async (user = {}, ack) => {
     });
   }
 
+  if (incomingLoc) geoIndex.upsert(userId, incomingLoc.lat, incomingLoc.lng, incomingLoc.ts);
+
   try {
     // ✅ FIX: set merge (no NOT_FOUND), y NO pisar username con null
     const userRef = db.collection(COLLECTIONS.USERS).doc(userId);
@@ -1918,6 +6040,9 @@ socket.on("user-connected", async (user = {}, ack) => {
     if (typeof user.email === "string" && user.email.trim()) patch.email = user.email.trim();
     if (typeof user.fullName === "string" && user.fullName.trim()) patch.fullName = user.fullName.trim();
 
+    // Ubicación reciente para la difusión por proximidad cuando el usuario esté desconectado
+    if (incomingLoc) Object.assign(patch, geoIndex.locationPatch(incomingLoc));
+
     await userRef.set(patch, { merge: true });
 
     console.log(`${colors.green}🔑 Usuario sincronizado con Firebase: ${safeUsername}${colors.reset}`);
@@ -1928,21 +6053,14 @@ socket.on("user-connected", async (user = {}, ack) => {
   io.emit(
     "connected_users",
     Array.from(state.connectedUsers.values()).map((u) => ({
-      ...u.userData,
+      ...locationPrivacy.sanitizeUser(u.userData),
       socketCount: u.sockets.size,
     }))
   );
 
   socket.emit(
     "available_rooms",
-    Array.from(state.chatRooms.values()).map((room) => ({
-      id: room.id,
-      name: room.name,
-      type: room.type,
-      description: room.description,
-      userCount: room.users.size,
-      messageCount: room.messageCount,
-    }))
+    Array.from(state.chatRooms.values()).map(roomService.summary)
   );
 
   socket.emit("join_success", {
@@ -1960,7 +6078,18 @@ socket.on("user-connected", async (user = {}, ack) => {
 
   utils.updateRoomUserList(defaultRoom);
 
-  ack?.({ success: true, userId, username: safeUsername });
+  // 🔁 Si tenía una emergencia activa (p.ej. volvió dentro de la ventana de gracia), retomarla
+  const resumedEmergencyRoomId = resumeEmergencyForSocket(socket, userId);
+
+  // 📞 Llamada entrante que sonaba mientras estaba desconectado
+  callSignaling.resendIncoming(socket, userId);
+
+  ack?.({
+    success: true,
+    userId,
+    username: safeUsername,
+    resumedEmergencyRoomId: resumedEmergencyRoomId || null,
+  });
   console.log(`${colors.green}✅ ${safeUsername} conectado al chat general${colors.reset}`);
 });
 
@@ -1970,20 +6099,20 @@ socket.on("user-connected", async (user = {}, ack) => {
   socket.on("update_location", async (data = {}, ack) => {
     try {
       const { userId, lat, lng, timestamp } = data;
-      if (!userId || typeof lat !== "number" || typeof lng !== "number") {
-        return ack?.({ success: false, message: "Datos inválidos" });
-      }
       const entry = state.connectedUsers.get(userId);
       if (entry) {
+        // 🕶️ Con el modo "off" no se guarda nada
+        if (!locationPrivacy.canStore(userId)) {
+          return ack?.({ success: true, stored: false });
+        }
+
         const loc = { lat, lng, ts: typeof timestamp === "number" ? timestamp : Date.now() };
         entry.userData.lastKnownLocation = loc;
+        geoIndex.upsert(userId, lat, lng, loc.ts);
         
-        await db.collection(COLLECTIONS.USERS).doc(userId).update({
-          lastKnownLocation: loc,
-          lastLocationUpdatedAt: Date.now(),
-        });
+        await db.collection(COLLECTIONS.USERS).doc(userId).update(geoIndex.locationPatch(loc));
         
-        ack?.({ success: true });
+        ack?.({ success: true, stored: true });
       } else {
         ack?.({ success: false, message: "Usuario no conectado" });
       }
@@ -1993,6 +6122,33 @@ socket.on("user-connected", async (user = {}, ack) => {
     }
   });
 
+  // ============================================================
+  // 🕶️ AJUSTES DE PRIVACIDAD DE UBICACIÓN
+  // ============================================================
+  socket.on("get_location_settings", async (data = {}, ack) => {
+    const userId = data.userId || socket.userId;
+    if (!userId) return ack?.({ success: false, message: "userId requerido" });
+
+    ack?.({ success: true, settings: locationPrivacy.get(userId) });
+  });
+
+  socket.on("update_location_settings", async (data = {}, ack) => {
+    try {
+      const { mode, fuzzRadiusM } = data;
+      const userId = data.userId || socket.userId;
+      if (!userId) return ack?.({ success: false, message: "userId requerido" });
+
+      const settings = await locationPrivacy.update(userId, { mode, fuzzRadiusM });
+      console.log(`${colors.cyan}🕶️ Privacidad de ubicación ${userId}:${colors.reset}`, settings);
+
+      utils.updateRoomUserList(socket.currentRoom || "general");
+      ack?.({ success: true, settings });
+    } catch (e) {
+      console.error(`${colors.red}❌ Error en update_location_settings:${colors.reset}`, e);
+      ack?.({ success: false, message: e.message });
+    }
+  });
+
   // ============================================================
   // 📍 ACTUALIZAR UBICACIÓN DE VÍCTIMA EN EMERGENCIA
   // ============================================================
@@ -2007,10 +6163,6 @@ socket.on("user-connected", async (user = {}, ack) => {
         accuracy       // Precisión (opcional)
       } = data;
 
-      if (!roomId || !userId || typeof lat !== "number" || typeof lng !== "number") {
-        return ack?.({ success: false, message: "Datos de ubicación inválidos" });
-      }
-
       // Solo permitir que la víctima actualice su ubicación
       const expectedVictimId = roomId.replace("emergencia_", "");
       if (userId !== expectedVictimId) {
@@ -2034,6 +6186,9 @@ socket.on("user-connected", async (user = {}, ack) => {
           roomId,
           type: "victim"
         };
+        if (locationPrivacy.canStore(userId)) {
+          geoIndex.upsert(userId, lat, lng, entry.userData.lastKnownLocation.ts);
+        }
       }
 
       // ACTUALIZAR EN EL ESTADO DE EMERGENCIA
@@ -2045,6 +6200,9 @@ socket.on("user-connected", async (user = {}, ack) => {
         state.emergencyAlerts.set(userId, emergencyData);
       }
 
+      // 💓 La víctima sigue reportando: renovar heartbeat/lock
+      await touchEmergencyHeartbeat(userId);
+
       // REENVIAR A TODOS EN LA SALA (ayudantes)
       socket.to(roomId).emit("emergency_location_updated", {
         roomId,
@@ -2056,32 +6214,30 @@ socket.on("user-connected", async (user = {}, ack) => {
         accuracy: accuracy || null
       });
 
-      // GUARDAR EN FIRESTORE PARA HISTÓRICO
-      try {
-        await db.collection(COLLECTIONS.EMERGENCIES)
-          .doc(userId)
-          .collection("locations")
-          .add({
-            userId,
-            lat,
-            lng,
-            timestamp: timestamp || Date.now(),
-            type: "victim",
-            roomId,
-            accuracy: accuracy || null
-          });
+      // GUARDAR EN FIRESTORE PARA HISTÓRICO (filtrado y en batch)
+      const incidentId = getActiveIncidentId(userId);
+      let persisted = false;
+      if (incidentId && locationPipeline.shouldPersist(incidentId, userId, lat, lng, timestamp || Date.now())) {
+        persisted = true;
+        locationPipeline.addPoint(incidentId, "locations", {
+          userId,
+          lat,
+          lng,
+          timestamp: timestamp || Date.now(),
+          type: "victim",
+          roomId,
+          accuracy: accuracy || null
+        });
 
-        // Actualizar ubicación actual en el documento principal
-        await db.collection(COLLECTIONS.EMERGENCIES).doc(userId).update({
+        // Ubicación actual en el documento principal
+        locationPipeline.merge(incidentId, null, null, {
           latitude: lat,
           longitude: lng,
           lastLocationUpdate: timestamp || Date.now()
         });
-      } catch (dbError) {
-        console.warn(`${colors.yellow}⚠️ No se pudo guardar ubicación en Firestore:${colors.reset}`, dbError.message);
       }
 
-      ack?.({ success: true });
+      ack?.({ success: true, persisted });
 
     } catch (error) {
       console.error(`${colors.red}❌ Error en update_emergency_location:${colors.reset}`, error);
@@ -2104,10 +6260,6 @@ socket.on("user-connected", async (user = {}, ack) => {
         accuracy          // Precisión (opcional)
       } = data;
 
-      if (!roomId || !helperId || typeof lat !== "number" || typeof lng !== "number") {
-        return ack?.({ success: false, message: "Datos de ubicación inválidos" });
-      }
-
       // Verificar que es una sala de emergencia
       if (!roomId.startsWith("emergencia_")) {
         return ack?.({ success: false, message: "Solo para salas de emergencia" });
@@ -2115,6 +6267,11 @@ socket.on("user-connected", async (user = {}, ack) => {
 
       const victimId = emergencyUserId || roomId.replace("emergencia_", "");
 
+      // Solo los ayudantes activos del plantel comparten ubicación
+      if (!state.emergencyHelpers.get(victimId)?.has(helperId)) {
+        return ack?.({ success: false, code: "NOT_A_HELPER", message: "El ayudante no confirmó ayuda para esta emergencia" });
+      }
+
       console.log(`${colors.blue}🚗 update_helper_location:${colors.reset}`, {
         helperId,
         victimId,
@@ -2134,13 +6291,9 @@ socket.on("user-connected", async (user = {}, ack) => {
           type: "helper",
           helpingVictimId: victimId
         };
-      }
-
-      // AÑADIR AL SET DE AYUDANTES SI NO ESTÁ
-      const helpers = state.emergencyHelpers.get(victimId);
-      if (helpers && !helpers.has(helperId)) {
-        helpers.add(helperId);
-        state.emergencyHelpers.set(victimId, helpers);
+        if (locationPrivacy.canStore(helperId)) {
+          geoIndex.upsert(helperId, lat, lng, entry.userData.lastKnownLocation.ts);
+        }
       }
 
       // REENVIAR A TODOS EN LA SALA (víctima y otros ayudantes)
@@ -2167,38 +6320,61 @@ socket.on("user-connected", async (user = {}, ack) => {
         accuracy: accuracy || null
       });
 
-      // GUARDAR EN FIRESTORE PARA HISTÓRICO
-      try {
-        await db.collection(COLLECTIONS.EMERGENCIES)
-          .doc(victimId)
-          .collection("helper_locations")
-          .add({
-            helperId,
-            lat,
-            lng,
-            timestamp: timestamp || Date.now(),
-            roomId,
-            accuracy: accuracy || null
-          });
+      // ⏱️ DISTANCIA Y ETA HACIA LA VÍCTIMA
+      const eta = helperEta.update(victimId, helperId, lat, lng, timestamp || Date.now());
+      const rosterEntry = state.emergencyRosters.get(victimId)?.helpers.get(helperId);
+      if (eta) {
+        io.to(roomId).emit("helper_eta_updated", {
+          roomId,
+          emergencyUserId: victimId,
+          helperId,
+          helperName: rosterEntry?.helperName || null,
+          role: rosterEntry?.role || null,
+          status: rosterEntry?.status || null,
+          ...eta,
+          timestamp: Date.now()
+        });
+      }
+
+      // GUARDAR EN FIRESTORE PARA HISTÓRICO (filtrado y en batch)
+      const incidentId = getActiveIncidentId(victimId);
+      let persisted = false;
+      if (incidentId && locationPipeline.shouldPersist(incidentId, helperId, lat, lng, timestamp || Date.now())) {
+        persisted = true;
+        locationPipeline.addPoint(incidentId, "helper_locations", {
+          helperId,
+          lat,
+          lng,
+          timestamp: timestamp || Date.now(),
+          roomId,
+          accuracy: accuracy || null
+        });
+
+        // Persistir para que el ayudante siga siendo localizable si se desconecta
+        if (locationPrivacy.canStore(helperId)) {
+          db.collection(COLLECTIONS.USERS).doc(helperId)
+            .set(geoIndex.locationPatch({ lat, lng, ts: timestamp || Date.now() }), { merge: true })
+            .catch((e) => console.warn(`${colors.yellow}⚠️ No se pudo indexar ubicación del ayudante:${colors.reset}`, e.message));
+        }
 
-        // Actualizar ubicación del ayudante en el mapa de ayudantes
-        const helperRef = db.collection(COLLECTIONS.EMERGENCIES)
-          .doc(victimId)
-          .collection("active_helpers")
-          .doc(helperId);
-        
-        await helperRef.set({
+        // Ubicación del ayudante en el mapa de ayudantes
+        locationPipeline.merge(incidentId, "active_helpers", helperId, {
           helperId,
           lastLocation: { lat, lng },
           lastLocationUpdate: timestamp || Date.now(),
-          isActive: true
-        }, { merge: true });
+          distanceMeters: eta?.distanceMeters ?? null,
+          etaSeconds: eta?.etaSeconds ?? null
+        });
+      }
 
-      } catch (dbError) {
-        console.warn(`${colors.yellow}⚠️ No se pudo guardar ubicación de ayudante:${colors.reset}`, dbError.message);
+      // 📍 LLEGADA AUTOMÁTICA DENTRO DEL RADIO CONFIGURADO
+      let arrived = false;
+      if (eta?.withinArrivalRadius && rosterEntry?.status === HELPER_STATUSES.EN_ROUTE) {
+        const result = await markHelperArrived(victimId, helperId, { automatic: true });
+        arrived = result.ok;
       }
 
-      ack?.({ success: true });
+      ack?.({ success: true, eta, arrived, persisted });
 
     } catch (error) {
       console.error(`${colors.red}❌ Error en update_helper_location:${colors.reset}`, error);
@@ -2213,16 +6389,20 @@ socket.on("user-connected", async (user = {}, ack) => {
     try {
       const { roomId, helperId, emergencyUserId } = data;
 
-      if (!roomId || !helperId || !emergencyUserId) {
-        return ack?.({ success: false, message: "Datos incompletos" });
-      }
-
       console.log(`${colors.yellow}🎯 request_victim_location:${colors.reset}`, {
         helperId,
         emergencyUserId,
         roomId
       });
 
+      // Solo ayudantes activos de una emergencia en curso
+      if (!state.emergencyAlerts.has(emergencyUserId)) {
+        return ack?.({ success: false, code: "EMERGENCY_NOT_ACTIVE", message: "La emergencia no está activa" });
+      }
+      if (!state.emergencyHelpers.get(emergencyUserId)?.has(helperId)) {
+        return ack?.({ success: false, code: "NOT_A_HELPER", message: "Solo los ayudantes activos pueden ver la ubicación de la víctima" });
+      }
+
       // BUSCAR LA ÚLTIMA UBICACIÓN DE LA VÍCTIMA EN MEMORIA
       const victimEntry = state.connectedUsers.get(emergencyUserId);
       const emergencyData = state.emergencyAlerts.get(emergencyUserId);
@@ -2231,7 +6411,7 @@ socket.on("user-connected", async (user = {}, ack) => {
         const location = victimEntry.userData.lastKnownLocation;
         
         // ENVIAR SOLO AL AYUDANTE QUE SOLICITÓ
-        io.to(helperId).emit("victim_location_response", {
+        utils.emitToUser(helperId, "victim_location_response", {
           userId: emergencyUserId,
           lat: location.lat,
           lng: location.lng,
@@ -2244,7 +6424,7 @@ socket.on("user-connected", async (user = {}, ack) => {
       } 
       else if (emergencyData?.latitude && emergencyData?.longitude) {
         // Usar datos de la emergencia como respaldo
-        io.to(helperId).emit("victim_location_response", {
+        utils.emitToUser(helperId, "victim_location_response", {
           userId: emergencyUserId,
           lat: emergencyData.latitude,
           lng: emergencyData.longitude,
@@ -2257,19 +6437,21 @@ socket.on("user-connected", async (user = {}, ack) => {
         console.log(`${colors.green}✅ Ubicación de víctima desde emergencyData${colors.reset}`);
       }
       else {
-        // BUSCAR EN FIRESTORE COMO ÚLTIMO RECURSO
+        // BUSCAR EN FIRESTORE COMO ÚLTIMO RECURSO (trail del incidente)
         try {
-          const locationsSnapshot = await db.collection(COLLECTIONS.EMERGENCIES)
-            .doc(emergencyUserId)
-            .collection("locations")
-            .orderBy("timestamp", "desc")
-            .limit(1)
-            .get();
+          const incidentId = await resolveEmergencyIncidentId(emergencyUserId);
+          const locationsSnapshot = incidentId
+            ? await getEmergencyIncidentRef(incidentId)
+              .collection("locations")
+              .orderBy("timestamp", "desc")
+              .limit(1)
+              .get()
+            : null;
           
-          if (!locationsSnapshot.empty) {
+          if (locationsSnapshot && !locationsSnapshot.empty) {
             const lastLoc = locationsSnapshot.docs[0].data();
             
-            io.to(helperId).emit("victim_location_response", {
+            utils.emitToUser(helperId, "victim_location_response", {
               userId: emergencyUserId,
               lat: lastLoc.lat,
               lng: lastLoc.lng,
@@ -2282,7 +6464,7 @@ socket.on("user-connected", async (user = {}, ack) => {
             console.log(`${colors.green}✅ Ubicación de víctima desde Firestore${colors.reset}`);
           } else {
             console.log(`${colors.yellow}⚠️ No hay ubicación guardada para la víctima${colors.reset}`);
-            io.to(helperId).emit("victim_location_response", {
+            utils.emitToUser(helperId, "victim_location_response", {
               userId: emergencyUserId,
               error: "No hay ubicación disponible",
               timestamp: Date.now()
@@ -2308,14 +6490,21 @@ socket.on("user-connected", async (user = {}, ack) => {
     try {
       const { roomId, emergencyUserId } = data;
 
-      if (!roomId || !emergencyUserId) {
-        return ack?.({ success: false, message: "Datos incompletos" });
-      }
-
       console.log(`${colors.blue}👥 helpers_location_request:${colors.reset} para ${roomId}`);
 
+      // Solo la víctima, sus ayudantes activos o roles con acceso a todas las emergencias
+      const requesterId = socket.userId;
+      if (
+        requesterId !== emergencyUserId &&
+        !state.emergencyHelpers.get(emergencyUserId)?.has(requesterId) &&
+        !authz.can(socket.role, "emergencies:read_all")
+      ) {
+        return ack?.({ success: false, code: "NOT_EMERGENCY_PARTY", message: "No participás de esta emergencia" });
+      }
+
       const helpers = state.emergencyHelpers.get(emergencyUserId) || new Set();
       const helpersLocations = [];
+      const incidentId = getActiveIncidentId(emergencyUserId);
 
       // RECOPILAR UBICACIONES DE TODOS LOS AYUDANTES
       for (const helperId of helpers) {
@@ -2332,9 +6521,9 @@ socket.on("user-connected", async (user = {}, ack) => {
           });
         } else {
           // Intentar obtener de Firestore
+          if (!incidentId) continue;
           try {
-            const helperLocSnapshot = await db.collection(COLLECTIONS.EMERGENCIES)
-              .doc(emergencyUserId)
+            const helperLocSnapshot = await getEmergencyIncidentRef(incidentId)
               .collection("helper_locations")
               .where("helperId", "==", helperId)
               .orderBy("timestamp", "desc")
@@ -2391,8 +6580,6 @@ socket.on("user-connected", async (user = {}, ack) => {
     try {
       const { roomId, helperId, isDriving, emergencyUserId } = data;
       
-      if (!roomId || !helperId) return;
-      
       console.log(`${colors.blue}🚗 helper_driving_status:${colors.reset}`, {
         helperId,
         isDriving: isDriving ? "CONDUCIENDO" : "DETENIDO"
@@ -2447,6 +6634,24 @@ socket.on("join_room", async (data = {}, ack) => {
       return;
     }
 
+    // 🔐 Membresía, invitación, clave o plantel de la emergencia
+    const accessError = await roomAccess.authorize(targetRoom, userId, { passcode: data.passcode, role: socket.role });
+    if (accessError) {
+      ack?.({
+        success: false,
+        code: accessError,
+        message: ROOM_ACCESS_MESSAGES[accessError],
+        canRequest: accessError === "INVITE_REQUIRED",
+        retryAfterMs: accessError === "PASSCODE_LOCKED" ? roomAccess.lockedFor(targetRoom, userId) : undefined,
+      });
+      return;
+    }
+
+    if (targetRoom.capacity && targetRoom.users.size >= targetRoom.capacity && !targetRoom.users.has(userId)) {
+      ack?.({ success: false, code: "ROOM_FULL", message: `La sala ${roomId} está llena` });
+      return;
+    }
+
     // Si estaba en otra sala, salir prolijo
     if (socket.currentRoom && socket.currentRoom !== roomId) {
       const previousRoomId = socket.currentRoom;
@@ -2457,6 +6662,8 @@ socket.on("join_room", async (data = {}, ack) => {
       }
 
       socket.leave(previousRoomId);
+      floorControl.dropSocket(socket.id, [previousRoomId]);
+      conference.dropSocket(socket.id, [previousRoomId], "left_room");
 
       socket.to(previousRoomId).emit("user_left_room", {
         userId,
@@ -2473,6 +6680,8 @@ socket.on("join_room", async (data = {}, ack) => {
     socket.join(roomId);
     socket.currentRoom = roomId;
     targetRoom.users.add(userId);
+    roomService.addMember(targetRoom, userId);
+    roomService.setListEntry(targetRoom, "invited", userId, false); // la invitación se consume al entrar
 
     const entry = state.connectedUsers.get(userId);
     if (entry) {
@@ -2527,6 +6736,11 @@ socket.on("join_room", async (data = {}, ack) => {
 
     utils.updateRoomUserList(roomId);
 
+    // 🎙️ Canales push-to-talk: estado actual del turno para quien entra
+    if (floorControl.isChannel(roomId)) {
+      socket.emit("ptt_floor_state", floorControl.snapshot(roomId));
+    }
+
     ack?.({
       success: true,
       roomId,
@@ -2545,10 +6759,6 @@ socket.on("leave_room", async (data = {}, ack) => {
     const { roomId } = data;
     const userId = data.userId || socket.userId; // ✅ fallback
 
-    if (!roomId) {
-      return ack?.({ success: false, message: "❌ Sala no especificada" });
-    }
-
     console.log(
       `${colors.blue}🚪 Evento → leave_room:${colors.reset} ${socket.username} → ${roomId}`
     );
@@ -2560,6 +6770,10 @@ socket.on("leave_room", async (data = {}, ack) => {
 
     socket.leave(roomId);
     room.users.delete(userId);
+    // En los privados la membresía sobrevive a la salida (no hace falta otra invitación)
+    if (room.type !== ROOM_TYPES.PRIVATE) roomService.removeMember(room, userId);
+    floorControl.dropSocket(socket.id, [roomId]);
+    conference.dropSocket(socket.id, [roomId], "left_room");
 
     if (socket.currentRoom === roomId) socket.currentRoom = null;
 
@@ -2577,23 +6791,532 @@ socket.on("leave_room", async (data = {}, ack) => {
       { merge: true }
     );
 
-    socket.to(roomId).emit("user_left_room", {
-      userId,
-      username: socket.username,
-      roomId,
-      message: `${socket.username} salió de la sala`,
-      timestamp: Date.now(),
-    });
+    socket.to(roomId).emit("user_left_room", {
+      userId,
+      username: socket.username,
+      roomId,
+      message: `${socket.username} salió de la sala`,
+      timestamp: Date.now(),
+    });
+
+    utils.updateRoomUserList(roomId);
+
+    ack?.({ success: true, message: `Salido de ${roomId}` });
+    console.log(`${colors.yellow}↩️ ${socket.username} salió de: ${roomId}${colors.reset}`);
+  } catch (error) {
+    console.error(`${colors.red}❌ Error saliendo de sala:${colors.reset}`, error);
+    ack?.({ success: false, message: "Error al salir de la sala" });
+  }
+});
+
+  // ============================================================
+  // 🗂️ CANALES DE USUARIO (CREAR, EDITAR, BORRAR)
+  // ============================================================
+  socket.on("create_room", async (data = {}, ack) => {
+    try {
+      const { userId, name, description, type, capacity, passcode } = data;
+      const result = await roomService.create({ ownerId: userId, name, description, type, capacity, passcode });
+
+      if (result.error) {
+        return ack?.({ success: false, code: result.error, message: `Máximo ${ROOM_MAX_PER_OWNER} canales por usuario` });
+      }
+      ack?.({ success: true, room: roomService.summary(result.room) });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en create_room:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error creando el canal" });
+    }
+  });
+
+  socket.on("update_room", async (data = {}, ack) => {
+    try {
+      const { userId, roomId, ...patch } = data;
+      const room = state.chatRooms.get(roomId);
+
+      if (!roomService.isUserChannel(room)) {
+        return ack?.({ success: false, code: "ROOM_NOT_FOUND", message: "Canal no encontrado" });
+      }
+      if (!roomService.canManage(room, userId, socket.role)) {
+        return ack?.({ success: false, code: "NOT_ROOM_OWNER", message: "Solo el dueño puede editar el canal" });
+      }
+
+      await roomService.update(room, patch);
+      ack?.({ success: true, room: roomService.summary(room) });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en update_room:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error editando el canal" });
+    }
+  });
+
+  socket.on("delete_room", async (data = {}, ack) => {
+    try {
+      const { userId, roomId } = data;
+      const room = state.chatRooms.get(roomId);
+
+      if (!roomService.isUserChannel(room)) {
+        return ack?.({ success: false, code: "ROOM_NOT_FOUND", message: "Canal no encontrado" });
+      }
+      if (!roomService.canManage(room, userId, socket.role)) {
+        return ack?.({ success: false, code: "NOT_ROOM_OWNER", message: "Solo el dueño puede borrar el canal" });
+      }
+
+      await roomService.remove(room);
+      ack?.({ success: true, roomId });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en delete_room:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error borrando el canal" });
+    }
+  });
+
+  // ============================================================
+  // 🔐 ACCESO A CANALES (INVITACIONES, SOLICITUDES, EXPULSIONES)
+  // ============================================================
+  // Canal de usuario que el emisor puede administrar; si no, responde el ack y devuelve null
+  const managedRoom = (data, ack) => {
+    const room = state.chatRooms.get(data.roomId);
+    if (!roomService.isUserChannel(room)) {
+      ack?.({ success: false, code: "ROOM_NOT_FOUND", message: "Canal no encontrado" });
+      return null;
+    }
+    if (!roomService.canManage(room, data.userId, socket.role)) {
+      ack?.({ success: false, code: "NOT_ROOM_OWNER", message: "Solo el dueño puede administrar el acceso" });
+      return null;
+    }
+    return room;
+  };
+
+  socket.on("get_room_access", (data = {}, ack) => {
+    const room = managedRoom(data, ack);
+    if (room) ack?.({ success: true, access: roomAccess.snapshot(room) });
+  });
+
+  socket.on("room_invite", async (data = {}, ack) => {
+    try {
+      const { userId, targetUserId } = data;
+      const room = managedRoom(data, ack);
+      if (!room) return;
+
+      if (room.banned.has(targetUserId)) {
+        return ack?.({ success: false, code: "USER_BANNED", message: "El usuario está expulsado; quitá el baneo primero" });
+      }
+      if (room.ownerId === targetUserId || room.members.has(targetUserId)) {
+        return ack?.({ success: true, alreadyMember: true });
+      }
+
+      roomService.setListEntry(room, "invited", targetUserId, true);
+      roomAccess.setJoinRequest(room, targetUserId, null);
+
+      await roomAccess.notify(
+        targetUserId,
+        "room_invitation",
+        { roomId: room.id, roomName: room.name, invitedBy: userId, invitedByName: socket.username, timestamp: Date.now() },
+        { title: "📨 Invitación a canal", body: `${socket.username || "Alguien"} te invitó a ${room.name}` }
+      );
+
+      console.log(`${colors.cyan}📨 ${userId} invitó a ${targetUserId} a ${room.id}${colors.reset}`);
+      ack?.({ success: true, roomId: room.id, targetUserId });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en room_invite:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error enviando la invitación" });
+    }
+  });
+
+  socket.on("room_join_request", async (data = {}, ack) => {
+    try {
+      const { userId, roomId, message } = data;
+      const room = state.chatRooms.get(roomId);
+
+      if (!roomService.isUserChannel(room)) {
+        return ack?.({ success: false, code: "ROOM_NOT_FOUND", message: "Canal no encontrado" });
+      }
+      if (room.banned.has(userId)) {
+        return ack?.({ success: false, code: "BANNED", message: ROOM_ACCESS_MESSAGES.BANNED });
+      }
+      if (room.ownerId === userId || room.members.has(userId) || room.invited.has(userId)) {
+        return ack?.({ success: false, code: "ALREADY_MEMBER", message: "Ya tenés acceso a este canal" });
+      }
+      if (room.joinRequests.has(userId)) {
+        return ack?.({ success: true, pending: true });
+      }
+
+      const request = { username: socket.username || null, message: message || null, requestedAt: Date.now() };
+      roomAccess.setJoinRequest(room, userId, request);
+
+      await roomAccess.notify(
+        room.ownerId,
+        "room_join_requested",
+        { roomId, roomName: room.name, userId, ...request },
+        { title: "🚪 Solicitud de acceso", body: `${request.username || userId} quiere entrar a ${room.name}` }
+      );
+
+      console.log(`${colors.cyan}🚪 ${userId} pidió acceso a ${roomId}${colors.reset}`);
+      ack?.({ success: true, pending: true });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en room_join_request:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error enviando la solicitud" });
+    }
+  });
+
+  socket.on("room_join_response", async (data = {}, ack) => {
+    try {
+      const { targetUserId, approve } = data;
+      const room = managedRoom(data, ack);
+      if (!room) return;
+
+      if (!room.joinRequests.has(targetUserId)) {
+        return ack?.({ success: false, code: "REQUEST_NOT_FOUND", message: "No hay solicitud pendiente de ese usuario" });
+      }
+
+      roomAccess.setJoinRequest(room, targetUserId, null);
+      if (approve) roomService.addMember(room, targetUserId);
+
+      await roomAccess.notify(
+        targetUserId,
+        "room_join_request_resolved",
+        { roomId: room.id, roomName: room.name, approved: approve, timestamp: Date.now() },
+        {
+          title: approve ? "✅ Acceso aprobado" : "⛔ Acceso rechazado",
+          body: approve ? `Ya podés entrar a ${room.name}` : `Tu solicitud para ${room.name} fue rechazada`,
+        }
+      );
+
+      ack?.({ success: true, roomId: room.id, targetUserId, approved: approve });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en room_join_response:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error respondiendo la solicitud" });
+    }
+  });
+
+  socket.on("room_kick", (data = {}, ack) => {
+    const { userId, targetUserId, ban = false, reason } = data;
+    const room = managedRoom(data, ack);
+    if (!room) return;
+
+    if (targetUserId === room.ownerId) {
+      return ack?.({ success: false, code: "CANNOT_KICK_OWNER", message: "No se puede expulsar al dueño del canal" });
+    }
+
+    roomService.removeMember(room, targetUserId);
+    roomService.setListEntry(room, "invited", targetUserId, false);
+    roomAccess.setJoinRequest(room, targetUserId, null);
+    if (ban) roomService.setListEntry(room, "banned", targetUserId, true);
+
+    roomAccess.evict(room, targetUserId, ban ? "banned" : "kicked");
+    io.to(room.id).emit("room_user_kicked", { roomId: room.id, userId: targetUserId, banned: ban, reason: reason || null });
+
+    console.log(`${colors.yellow}👢 ${userId} ${ban ? "baneó" : "expulsó"} a ${targetUserId} de ${room.id}${colors.reset}`);
+    ack?.({ success: true, roomId: room.id, targetUserId, banned: ban });
+  });
+
+  socket.on("room_unban", (data = {}, ack) => {
+    const { targetUserId } = data;
+    const room = managedRoom(data, ack);
+    if (!room) return;
+
+    const unbanned = roomService.setListEntry(room, "banned", targetUserId, false);
+    ack?.({ success: true, roomId: room.id, targetUserId, unbanned });
+  });
+
+  // ============================================================
+  // 🎙️ PUSH-TO-TALK: PEDIR Y LIBERAR EL TURNO
+  // ============================================================
+  socket.on("ptt_request_floor", (data = {}, ack) => {
+    const { roomId, userId } = data;
+
+    if (!floorControl.isChannel(roomId)) {
+      return ack?.({ success: false, code: "NOT_PTT_CHANNEL", message: "La sala no es un canal push-to-talk" });
+    }
+    if (!socket.rooms.has(roomId)) {
+      return ack?.({ success: false, code: "NOT_IN_ROOM", message: "Primero tenés que unirte al canal" });
+    }
+
+    const result = floorControl.request(roomId, {
+      userId,
+      username: socket.username || userId,
+      socketId: socket.id,
+    });
+
+    if (result.error) {
+      return ack?.({ success: false, code: result.error, message: "La cola de turnos está llena" });
+    }
+
+    ack?.({ success: true, ...result, floor: floorControl.snapshot(roomId) });
+  });
+
+  socket.on("ptt_release_floor", (data = {}, ack) => {
+    const { roomId, userId } = data;
+
+    if (!floorControl.isChannel(roomId)) {
+      return ack?.({ success: false, code: "NOT_PTT_CHANNEL", message: "La sala no es un canal push-to-talk" });
+    }
+
+    const released = floorControl.release(roomId, userId);
+    ack?.({ success: true, released, floor: floorControl.snapshot(roomId) });
+  });
+
+  // ============================================================
+  // 📞 LLAMADAS DIRECTAS (SEÑALIZACIÓN WEBRTC)
+  // ============================================================
+  socket.on("call_offer", async (data = {}, ack) => {
+    try {
+      const { callerId, calleeId, sdp, callType = "audio", emergencyUserId } = data;
+
+      if (callerId === calleeId) {
+        return ack?.({ success: false, code: "INVALID_CALLEE", message: "No podés llamarte a vos mismo" });
+      }
+
+      if (emergencyUserId) {
+        const pairError = callSignaling.checkEmergencyPair(emergencyUserId, callerId, calleeId);
+        if (pairError) {
+          return ack?.({ success: false, code: pairError, message: "La llamada de emergencia es solo entre la víctima y sus ayudantes" });
+        }
+      }
+
+      if (state.userCalls.has(callerId)) {
+        return ack?.({ success: false, code: "ALREADY_IN_CALL", message: "Ya tenés una llamada en curso" });
+      }
+      if (state.userCalls.has(calleeId)) {
+        utils.emitToUser(calleeId, "call_missed", { callerId, callerName: socket.username || callerId, reason: "busy" });
+        return ack?.({ success: false, code: "BUSY", message: "El usuario está en otra llamada" });
+      }
+
+      const call = callSignaling.create({
+        callerId,
+        callerName: socket.username || callerId,
+        calleeId,
+        sdp,
+        callType,
+        emergencyUserId,
+      });
+
+      const { calleeOnline, pushed } = await callSignaling.ring(call);
+      callSignaling.publish(call);
+
+      ack?.({
+        success: true,
+        callId: call.callId,
+        status: call.status,
+        calleeOnline,
+        pushed,
+        ringTimeoutMs: CALL_RING_TIMEOUT_MS,
+        iceServers: CALL_ICE_SERVERS,
+      });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en call_offer:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error iniciando la llamada" });
+    }
+  });
+
+  socket.on("call_answer", (data = {}, ack) => {
+    const { callId, userId, sdp } = data;
+    const call = callSignaling.get(callId);
+
+    if (!call) return ack?.({ success: false, code: "CALL_NOT_FOUND", message: "La llamada no existe o ya terminó" });
+    if (call.calleeId !== userId) return ack?.({ success: false, code: "NOT_CALLEE", message: "Solo el destinatario puede atender" });
+    if (call.status !== CALL_STATES.RINGING) {
+      return ack?.({ success: false, code: "CALL_ALREADY_ANSWERED", message: "La llamada ya fue atendida" });
+    }
+
+    callSignaling.answer(call, sdp);
+    ack?.({ success: true, callId, status: call.status });
+  });
+
+  socket.on("call_ice_candidate", (data = {}, ack) => {
+    const { callId, userId, candidate } = data;
+    const call = callSignaling.get(callId);
+
+    if (!call) return ack?.({ success: false, code: "CALL_NOT_FOUND", message: "La llamada no existe o ya terminó" });
+    if (!callSignaling.isParty(call, userId)) {
+      return ack?.({ success: false, code: "NOT_IN_CALL", message: "No participás de esta llamada" });
+    }
+
+    utils.emitToUser(callSignaling.peerOf(call, userId), "call_ice_candidate", { callId, fromUserId: userId, candidate });
+    ack?.({ success: true });
+  });
+
+  socket.on("call_hangup", (data = {}, ack) => {
+    const { callId, userId } = data;
+    const call = callSignaling.get(callId);
+
+    if (!call) return ack?.({ success: false, code: "CALL_NOT_FOUND", message: "La llamada no existe o ya terminó" });
+    if (!callSignaling.isParty(call, userId)) {
+      return ack?.({ success: false, code: "NOT_IN_CALL", message: "No participás de esta llamada" });
+    }
+
+    // Colgar mientras suena: el que llama cancela, el que recibe rechaza
+    const reason = call.status === CALL_STATES.RINGING
+      ? (userId === call.callerId ? "cancelled" : "rejected")
+      : "hangup";
+
+    callSignaling.end(call, reason);
+    ack?.({ success: true, callId, reason });
+  });
+
+  // ============================================================
+  // 🎧 CONFERENCIA DE VOZ EN SALAS DE EMERGENCIA
+  // ============================================================
+  socket.on("conference_join", (data = {}, ack) => {
+    const { roomId, userId, muted } = data;
+
+    if (state.chatRooms.get(roomId)?.type !== "emergency") {
+      return ack?.({ success: false, code: "NOT_EMERGENCY_ROOM", message: "La conferencia solo existe en salas de emergencia" });
+    }
+    if (!conference.canJoin(roomId, userId)) {
+      return ack?.({ success: false, code: "NOT_EMERGENCY_PARTY", message: "Solo la víctima y sus ayudantes activos" });
+    }
+    if (!socket.rooms.has(roomId)) {
+      return ack?.({ success: false, code: "NOT_IN_ROOM", message: "Primero tenés que unirte a la sala" });
+    }
+
+    const result = conference.join(roomId, {
+      userId,
+      username: socket.username || userId,
+      socketId: socket.id,
+      muted: muted === true,
+    });
+
+    if (result.error) {
+      return ack?.({ success: false, code: result.error, message: "No se pudo entrar a la conferencia" });
+    }
+
+    // El que entra inicia una oferta hacia cada peer
+    ack?.({ success: true, roomId, peers: result.peers, iceServers: CALL_ICE_SERVERS });
+  });
+
+  socket.on("conference_signal", (data = {}, ack) => {
+    const { roomId, userId, targetUserId, type, sdp, candidate } = data;
+    const conf = state.conferences.get(roomId);
+    const from = conf?.participants.get(userId);
+    const target = conf?.participants.get(targetUserId);
+
+    if (!from || from.socketId !== socket.id) {
+      return ack?.({ success: false, code: "NOT_IN_CONFERENCE", message: "No estás en la conferencia" });
+    }
+    if (!target) {
+      return ack?.({ success: false, code: "PEER_NOT_FOUND", message: "El participante ya no está en la conferencia" });
+    }
+
+    io.to(target.socketId).emit("conference_signal", { roomId, fromUserId: userId, type, sdp, candidate });
+    ack?.({ success: true });
+  });
+
+  socket.on("conference_mute", (data = {}, ack) => {
+    const { roomId, userId, muted } = data;
+    const participant = conference.setMuted(roomId, userId, muted);
+
+    if (!participant) return ack?.({ success: false, code: "NOT_IN_CONFERENCE", message: "No estás en la conferencia" });
+    ack?.({ success: true, muted: participant.muted });
+  });
+
+  socket.on("conference_leave", (data = {}, ack) => {
+    const { roomId, userId } = data;
+    const left = !!conference.leave(roomId, userId);
+    ack?.({ success: true, left });
+  });
+
+  socket.on("conference_remove_participant", (data = {}, ack) => {
+    const { roomId, userId, targetUserId } = data;
+
+    if (conference.victimOf(roomId) !== userId) {
+      return ack?.({ success: false, code: "NOT_VICTIM", message: "Solo la víctima puede sacar participantes" });
+    }
+    if (targetUserId === userId) {
+      return ack?.({ success: false, code: "INVALID_TARGET", message: "No podés sacarte a vos mismo" });
+    }
+
+    const removed = conference.remove(roomId, targetUserId, "removed_by_victim");
+    ack?.({ success: true, removed, conference: conference.snapshot(roomId) });
+  });
+
+  // ============================================================
+  // 📻 PUSH-TO-TALK: AUDIO EN VIVO (START → CHUNKS → END)
+  // ============================================================
+  socket.on("ptt_stream_start", (data = {}, ack) => {
+    const { roomId, userId, mime } = data;
+
+    if (!floorControl.isChannel(roomId)) {
+      return ack?.({ success: false, code: "NOT_PTT_CHANNEL", message: "La sala no es un canal push-to-talk" });
+    }
+    if (!floorControl.isTalker(roomId, userId)) {
+      return ack?.({ success: false, code: "NO_FLOOR", message: "No tenés el turno para hablar" });
+    }
+
+    // Un stream por socket: si quedó uno abierto, se cierra antes
+    pttStreams.finishForSocket(socket.id, "restarted");
+
+    const stream = pttStreams.start({
+      roomId,
+      userId,
+      username: socket.username || userId,
+      socketId: socket.id,
+      mime,
+    });
+
+    socket.to(roomId).emit("ptt_stream_started", {
+      streamId: stream.streamId,
+      roomId,
+      userId,
+      username: stream.username,
+      mime: stream.mime,
+      startedAt: stream.startedAt,
+    });
+
+    ack?.({ success: true, streamId: stream.streamId, mime: stream.mime, maxChunkBytes: PTT_STREAM_MAX_CHUNK_BYTES });
+  });
+
+  socket.on("ptt_stream_chunk", (data = {}, ack) => {
+    const { streamId, seq, data: chunk } = data;
+    const stream = state.pttStreams.get(streamId);
+
+    if (!stream) {
+      return ack?.({ success: false, code: "STREAM_NOT_FOUND", message: "El stream no existe o ya terminó" });
+    }
+    if (stream.socketId !== socket.id) {
+      return ack?.({ success: false, code: "NOT_STREAM_OWNER", message: "El stream pertenece a otra conexión" });
+    }
+
+    const result = pttStreams.addChunk(stream, seq, chunk);
+    if (result.error === "STREAM_TOO_LARGE") pttStreams.finish(streamId, "max_size");
+    if (result.error) {
+      return ack?.({ success: false, code: result.error, message: "Chunk de audio rechazado" });
+    }
+
+    // Reenvío inmediato con el mismo formato recibido; el receptor reordena por seq
+    if (!result.duplicate) {
+      socket.to(stream.roomId).emit("ptt_stream_chunk", {
+        streamId,
+        roomId: stream.roomId,
+        userId: stream.userId,
+        seq,
+        data: chunk,
+        ts: Date.now(),
+      });
+    }
+
+    ack?.({ success: true, seq, duplicate: result.duplicate });
+  });
+
+  socket.on("ptt_stream_end", async (data = {}, ack) => {
+    const { streamId, durationMs } = data;
+    const stream = state.pttStreams.get(streamId);
 
-    utils.updateRoomUserList(roomId);
+    if (!stream) {
+      return ack?.({ success: false, code: "STREAM_NOT_FOUND", message: "El stream no existe o ya terminó" });
+    }
+    if (stream.socketId !== socket.id) {
+      return ack?.({ success: false, code: "NOT_STREAM_OWNER", message: "El stream pertenece a otra conexión" });
+    }
 
-    ack?.({ success: true, message: `Salido de ${roomId}` });
-    console.log(`${colors.yellow}↩️ ${socket.username} salió de: ${roomId}${colors.reset}`);
-  } catch (error) {
-    console.error(`${colors.red}❌ Error saliendo de sala:${colors.reset}`, error);
-    ack?.({ success: false, message: "Error al salir de la sala" });
-  }
-});
+    const result = await pttStreams.finish(streamId, "ended", { durationMs });
+    ack?.({
+      success: !result.error,
+      streamId,
+      chunkCount: result.chunkCount,
+      missingSeqs: result.missingSeqs,
+      messageId: result.message?.id || null,
+      audioUrl: result.message?.audioUrl || null,
+      ...(result.error ? { message: "Error guardando la grabación" } : {}),
+    });
+  });
 
   // ============================================================
   // 💬 MENSAJES DE TEXTO (CORREGIDO)
@@ -2601,13 +7324,12 @@ socket.on("leave_room", async (data = {}, ack) => {
   socket.on("send_message", async (data = {}, ack) => {
     const { userId, username, text, roomId = socket.currentRoom || "general" } = data;
     
-    if (!userId || !username || !text) {
-      return ack?.({ success: false, message: "❌ Datos de mensaje inválidos" });
-    }
-
     if (!socket.currentRoom || !state.chatRooms.has(roomId)) {
       return ack?.({ success: false, message: "❌ No estás en una sala válida" });
     }
+    if (!roomAccess.canPost(socket, state.chatRooms.get(roomId), userId)) {
+      return ack?.({ success: false, code: "NOT_IN_ROOM", message: "No tenés acceso a esta sala" });
+    }
 
     const message = { 
       id: uuidv4(), 
@@ -2623,9 +7345,7 @@ socket.on("leave_room", async (data = {}, ack) => {
       await db.collection(COLLECTIONS.MESSAGES).add(message);
       
       const room = state.chatRooms.get(roomId);
-      if (room) {
-        room.messageCount++;
-      }
+      roomService.countMessage(roomId);
       
       io.to(roomId).emit("new_message", message);
       socket.emit("message_sent", message);
@@ -2693,93 +7413,125 @@ socket.on("leave_room", async (data = {}, ack) => {
         hasAudioDataUrl: !!data.audioDataUrl
       });
 
-      if (!userId || !username) {
-        return ack?.({ success: false, message: "❌ userId/username inválidos" });
-      }
-
       if (!state.chatRooms.has(roomId)) {
         return ack?.({ success: false, message: "❌ No estás en una sala válida" });
       }
-
-      let finalAudioUrl = data.audioUrl || null;
-
-      if (finalAudioUrl && /^https?:\/\//i.test(finalAudioUrl)) {
-        console.log(`${colors.green}✅ audioUrl directo provisto${colors.reset}`);
-      }
-      else if (typeof data.audioDataUrl === "string" && data.audioDataUrl.startsWith("data:audio/")) {
-        const mime = (data.audioDataUrl.match(/^data:(audio\/[a-zA-Z0-9.+-]+);base64,/) || [])[1] || "audio/mpeg";
-        const base64 = data.audioDataUrl.split("base64,")[1] || "";
-        finalAudioUrl = await storageService.saveBase64AudioToFirebase({ base64, mime, userId, roomId });
+      if (!roomAccess.canPost(socket, state.chatRooms.get(roomId), userId)) {
+        return ack?.({ success: false, code: "NOT_IN_ROOM", message: "No tenés acceso a esta sala" });
       }
-      else if (typeof data.audioData === "string" && data.audioData.length > 0) {
-        const mime = typeof data.mime === "string" && data.mime.startsWith("audio/") ? data.mime : "audio/mpeg";
-        finalAudioUrl = await storageService.saveBase64AudioToFirebase({
-          base64: data.audioData,
-          mime,
-          userId,
-          roomId,
-          ext: data.ext
-        });
+
+      // 🎙️ En canales push-to-talk solo habla quien tiene el turno
+      if (state.chatRooms.get(roomId).type === "ptt" && !floorControl.isTalker(roomId, userId)) {
+        return ack?.({ success: false, code: "NO_FLOOR", message: "No tenés el turno para hablar" });
       }
 
+      const finalAudioUrl = await storageService.resolveAudioUrl(data, { userId, roomId });
+
       if (!finalAudioUrl) {
         return ack?.({ success: false, message: "❌ No se pudo obtener URL de audio" });
       }
 
-      const message = {
-        id: uuidv4(),
+      const message = await publishAudioMessage({
         userId,
         username,
         roomId,
-        type: "audio",
         audioUrl: finalAudioUrl,
-        content: "[Audio]",
-        durationMs: typeof data.durationMs === "number" ? data.durationMs : undefined,
-        timestamp: Date.now(),
-      };
+        durationMs: data.durationMs,
+      });
+      socket.emit("message_sent", { id: message.id, ...message });
 
-      await db.collection(COLLECTIONS.MESSAGES).add(message);
+      ack?.({ success: true, id: message.id, audioUrl: finalAudioUrl });
 
-      const room = state.chatRooms.get(roomId);
-      if (room) room.messageCount++;
+    } catch (err) {
+      console.error(`${colors.red}❌ Error en audio_message:${colors.reset}`, err);
+      ack?.({ success: false, message: "Error guardando mensaje de audio" });
+    }
+  });
 
-      io.to(roomId).emit("audio_message", message);
-      socket.emit("message_sent", { id: message.id, ...message });
+  // ============================================================
+  // 💌 MENSAJES DIRECTOS (1 A 1)
+  // ============================================================
+  socket.on("direct_message", async (data = {}, ack) => {
+    try {
+      const { userId, username, targetUserId, text } = data;
+      if (targetUserId === userId) {
+        return ack?.({ success: false, code: "INVALID_RECIPIENT", message: "No podés enviarte mensajes a vos mismo" });
+      }
 
-      const roomUsers = room ? Array.from(room.users) : [];
-      
-      for (const targetUserId of roomUsers) {
-        if (targetUserId === userId) continue;
-        
-        const isPresent = utils.isUserPresentInRoom(targetUserId, roomId);
-        
-        if (!isPresent) {
-          await sendPushNotification(
-            targetUserId,
-            "🎧 Mensaje de audio",
-            `${username} envió un audio`,
-            {
-              type: "audio_message",
-              roomId: roomId,
-              userId: userId,
-              username: username,
-              timestamp: Date.now().toString(),
-            }
-          );
-        }
+      const { message, delivered } = await directMessages.send({
+        userId,
+        username,
+        peerId: targetUserId,
+        content: { type: "text", text },
+      });
+      ack?.({ success: true, id: message.id, conversationId: message.conversationId, delivered });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en direct_message:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error enviando mensaje directo" });
+    }
+  });
+
+  socket.on("direct_audio_message", async (data = {}, ack) => {
+    try {
+      const { userId, username, targetUserId } = data;
+      if (targetUserId === userId) {
+        return ack?.({ success: false, code: "INVALID_RECIPIENT", message: "No podés enviarte mensajes a vos mismo" });
       }
 
-      if (roomId.startsWith("emergencia_")) {
-        console.log(`${colors.red}🚨 ${username} → EMERGENCIA ${roomId}: [Audio]${colors.reset}`);
-      } else {
-        console.log(`${colors.magenta}🎧 ${username} → ${roomId}: [Audio] URL=${finalAudioUrl}${colors.reset}`);
+      const conversationId = directMessages.conversationId(userId, targetUserId);
+      const audioUrl = await storageService.resolveAudioUrl(data, { userId, roomId: conversationId });
+      if (!audioUrl) {
+        return ack?.({ success: false, message: "❌ No se pudo obtener URL de audio" });
       }
 
-      ack?.({ success: true, id: message.id, audioUrl: finalAudioUrl });
+      const { message, delivered } = await directMessages.send({
+        userId,
+        username,
+        peerId: targetUserId,
+        content: {
+          type: "audio",
+          audioUrl,
+          durationMs: typeof data.durationMs === "number" ? data.durationMs : undefined,
+        },
+      });
+      ack?.({ success: true, id: message.id, conversationId, audioUrl, delivered });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en direct_audio_message:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error enviando audio directo" });
+    }
+  });
 
-    } catch (err) {
-      console.error(`${colors.red}❌ Error en audio_message:${colors.reset}`, err);
-      ack?.({ success: false, message: "Error guardando mensaje de audio" });
+  socket.on("direct_history", async (data = {}, ack) => {
+    try {
+      const { userId, targetUserId, before, limit } = data;
+      const messages = await directMessages.history(userId, targetUserId, { before, limit });
+      ack?.({ success: true, conversationId: directMessages.conversationId(userId, targetUserId), messages });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en direct_history:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error obteniendo el historial" });
+    }
+  });
+
+  socket.on("direct_inbox", async (data = {}, ack) => {
+    try {
+      const inbox = await directMessages.inbox(data.userId, { limit: data.limit });
+      ack?.({ success: true, ...inbox });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en direct_inbox:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error obteniendo la bandeja" });
+    }
+  });
+
+  socket.on("direct_mark_read", async (data = {}, ack) => {
+    try {
+      const result = await directMessages.markRead(data.userId, data.targetUserId);
+      if (!result) {
+        return ack?.({ success: false, code: "CONVERSATION_NOT_FOUND", message: "Conversación no encontrada" });
+      }
+      ack?.({ success: true, ...result });
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en direct_mark_read:${colors.reset}`, error);
+      ack?.({ success: false, message: "Error marcando como leído" });
     }
   });
 
@@ -2792,16 +7544,17 @@ socket.on("get_profile", async (data = {}, callback) => {
     const userId = data.userId;
     console.log(`${colors.cyan}📥 Evento → get_profile${colors.reset}`, data);
 
-    if (!userId) {
-      return callback?.({ success: false, message: "userId requerido" });
-    }
-
     const snap = await db.collection(COLLECTIONS.USERS).doc(userId).get();
     if (!snap.exists) {
       return callback?.({ success: false, message: "Perfil no encontrado" });
     }
 
-    const user = snap.data() || {};
+    // 🕶️ Para terceros la ubicación pasa por los ajustes de privacidad del dueño
+    const isOwner = userId === socket.userId;
+    if (!isOwner && !state.locationSettings.has(userId)) {
+      state.locationSettings.set(userId, locationPrivacy.normalize(snap.data()?.locationSharing));
+    }
+    const user = isOwner ? snap.data() || {} : locationPrivacy.sanitizeUser({ ...snap.data(), id: userId });
     
     // 🔥 CORRECCIÓN: Asegurar que username nunca sea null o "null"
     let finalUsername = user.username;
@@ -2847,10 +7600,6 @@ socket.on("update_profile", async (data = {}, callback) => {
       avatarUri = "",
     } = data;
 
-    if (!userId) {
-      return callback?.({ success: false, message: "userId requerido" });
-    }
-
     const prevSnap = await db.collection(COLLECTIONS.USERS).doc(userId).get();
     const prevData = prevSnap.exists ? prevSnap.data() : {};
     
@@ -2933,7 +7682,7 @@ socket.on("get_users", (data = {}, ack) => {
 
   const usersInRoom = Array.from(room.users).map(userId => {
     const userInfo = state.connectedUsers.get(userId);
-    return userInfo ? userInfo.userData : null;
+    return userInfo ? locationPrivacy.sanitizeUser(userInfo.userData) : null;
   }).filter(Boolean);
 
   ack?.({
@@ -2943,7 +7692,7 @@ socket.on("get_users", (data = {}, ack) => {
   });
 });
   // ============================================================
-  // 🚨 SISTEMA DE EMERGENCIA (CORREGIDO - USA LOCK_REF)
+  // 🚨 SISTEMA DE EMERGENCIA (LOCK POR VÍCTIMA)
   // ============================================================
   socket.on("emergency_alert", async (data = {}, ack) => {
     let lockAcquired = false;
@@ -2969,80 +7718,31 @@ socket.on("get_users", (data = {}, ack) => {
         { userId, userName, latitude, longitude, emergencyType }
       );
 
-      if (!userId || !userName) {
-        console.warn(`${colors.yellow}⚠️ Datos de usuario faltantes${colors.reset}`);
-        return ack?.({
-          success: false,
-          code: "INVALID_DATA",
-          message: "Datos de usuario inválidos"
-        });
-      }
-
-      if (typeof latitude !== "number" || typeof longitude !== "number") {
-        console.warn(`${colors.yellow}⚠️ Coordenadas inválidas${colors.reset}`);
-        return ack?.({
-          success: false,
-          code: "INVALID_LOCATION",
-          message: "Ubicación inválida"
-        });
-      }
-
       emergencyRoomId = `emergencia_${userId}`;
 
-      // 🔒 LOCK GLOBAL CON DETECCIÓN DE STALE LOCK - USA LOCK_REF
-      const lockResult = await db.runTransaction(async (tx) => {
-        const snap = await tx.get(LOCK_REF);
-        const lock = snap.exists ? (snap.data() || {}) : null;
-
-        if (lock?.active === true) {
-          const startedAt = typeof lock.startedAt === "number" ? lock.startedAt : 0;
-          const age = Date.now() - startedAt;
-
-          if (startedAt > 0 && age > LOCK_TTL_MS) {
-            tx.set(LOCK_REF, {
-              active: true,
-              userId,
-              roomId: emergencyRoomId,
-              startedAt: Date.now(),
-              emergencyType,
-              replacedStaleLock: true,
-              previousLock: {
-                userId: lock.userId || null,
-                roomId: lock.roomId || null,
-                startedAt: lock.startedAt || null
-              }
-            }, { merge: true });
-
-            return { allowed: true, staleReplaced: true };
-          }
-
-          return {
-            allowed: false,
-            activeEmergency: {
-              userId: lock.userId || null,
-              roomId: lock.roomId || null,
-              startedAt: lock.startedAt || null,
-            }
-          };
-        }
-
-        tx.set(LOCK_REF, {
-          active: true,
-          userId,
-          roomId: emergencyRoomId,
-          startedAt: Date.now(),
-          emergencyType,
-        }, { merge: true });
+      // 🆔 Cada alerta es un incidente nuevo (no se pisa el historial anterior)
+      const incidentRef = db.collection(COLLECTIONS.EMERGENCIES).doc();
+      const incidentId = incidentRef.id;
 
-        return { allowed: true };
+      // 🔒 LOCK POR VÍCTIMA: otras emergencias pueden estar activas en paralelo
+      const lockResult = await acquireEmergencyLock({
+        userId,
+        roomId: emergencyRoomId,
+        incidentId,
+        emergencyType,
+        reason: "emergency_alert",
       });
 
-      if (!lockResult.allowed) {
+      if (!lockResult.ok) {
         return ack?.({
           success: false,
           code: "EMERGENCY_ALREADY_ACTIVE",
-          message: "⚠️ Esta es una versión de prueba. Actualmente manejamos una emergencia a la vez, y ya hay una en curso. Volvé a intentarlo más tarde.",
-          activeEmergency: lockResult.activeEmergency,
+          message: "⚠️ Ya tenés una emergencia activa. Finalizala antes de iniciar otra.",
+          activeEmergency: {
+            userId: lockResult.lock?.userId || userId,
+            roomId: lockResult.lock?.roomId || emergencyRoomId,
+            startedAt: lockResult.lock?.startedAt || null,
+          },
         });
       }
 
@@ -3108,41 +7808,43 @@ socket.on("get_users", (data = {}, ack) => {
       }
 
       const emergencyData = {
+        incidentId,
         userId,
         userName,
         avatarUrl: avatarUrl,
         latitude,
         longitude,
         timestamp: (typeof timestamp === "number" ? timestamp : Date.now()),
+        lastHeartbeatAt: Date.now(),
         socketId: socket.id,
         emergencyType,
-        status: "active",
+        status: EMERGENCY_STATES.RAISED,
         emergencyRoomId,
         roomId: emergencyRoomId,
         vehicleInfo: vehicleData,
       };
 
       state.emergencyAlerts.set(userId, emergencyData);
+      state.emergencyHeartbeats.set(userId, emergencyData.lastHeartbeatAt);
       if (!state.emergencyHelpers.has(userId)) {
         state.emergencyHelpers.set(userId, new Set());
       }
 
       try {
-        await db
-          .collection(COLLECTIONS.EMERGENCIES)
-          .doc(userId)
-          .set(
-            {
-              ...emergencyData,
-              isActive: true,
-              createdAt: Date.now(),
-            },
-            { merge: true }
-          );
+        await incidentRef.set({
+          ...emergencyData,
+          isActive: true,
+          startedAt: emergencyData.timestamp,
+          endedAt: null,
+          endReason: null,
+          helperIds: [],
+          createdAt: Date.now(),
+        });
 
         await db.collection(COLLECTIONS.USERS).doc(userId).update({
           hasActiveEmergency: true,
           emergencyRoomId,
+          currentEmergencyId: incidentId,
           lastEmergencyStarted: Date.now(),
         });
 
@@ -3165,9 +7867,13 @@ socket.on("get_users", (data = {}, ack) => {
       state.chatRooms.set(emergencyRoomId, emergencyRoom);
       state.emergencyUserRoom.set(userId, emergencyRoomId);
 
+      // 🚦 Estado inicial del incidente (null → raised)
+      await emergencyLifecycle.start(userId, { actor: userId });
+
       socket.emit("emergency_room_created", {
         emergencyUserId: userId,
         emergencyRoomId,
+        incidentId,
       });
 
       io.emit("new_room_created", {
@@ -3182,73 +7888,18 @@ socket.on("get_users", (data = {}, ack) => {
 
       console.log(`${colors.red}🚨 Sala de emergencia creada: ${emergencyRoomId}${colors.reset}`);
 
-      let socketNotifications = 0;
-      const notifiedUsers = new Set();
-
-      for (const [sid, s] of io.sockets.sockets) {
-        if (sid === socket.id) continue;
-        if (s?.userId && s.userId === userId) continue;
-
-        io.to(sid).emit("emergency_alert", {
-          ...emergencyData,
-          emergencyRoomId,
-        });
-        socketNotifications++;
-
-        if (s?.userId) notifiedUsers.add(s.userId);
-      }
-
-      const usersSnapshot = await db.collection(COLLECTIONS.USERS).get();
-      let pushNotifications = 0;
-
-      for (const doc of usersSnapshot.docs) {
-        const targetUserId = doc.id;
-
-        if (targetUserId === userId) continue;
-        if (notifiedUsers.has(targetUserId)) continue;
-
-        const ok = await sendEmergencyNotification(
-          targetUserId,
-          "🚨 EMERGENCIA",
-          `${userName} necesita ayuda`,
-          {
-            type: "emergency",
-            emergencyUserId: userId,
-            emergencyUserName: userName,
-            emergencyType,
-            open_emergency_screen: "true",
-            is_helper: "true",
-            emergency_user_id: userId,
-            emergency_user_name: userName,
-            emergency_type: emergencyType,
-            emergency_room_id: emergencyRoomId,
-            latitude: latitude.toString(),
-            longitude: longitude.toString(),
-            emergency_latitude: latitude.toString(),
-            emergency_longitude: longitude.toString(),
-            avatarUrl: avatarUrl || "",
-            emergency_avatar_url: avatarUrl || "",
-            vehicleMarca: vehicleData?.brand || "",
-            vehicleModelo: vehicleData?.model || "",
-            vehiclePatente: vehicleData?.licensePlate || "",
-            vehicleColor: vehicleData?.color || "",
-            vehicleFoto: vehicleData?.photoUri || "",
-            vehicle_marca: vehicleData?.brand || "",
-            vehicle_modelo: vehicleData?.model || "",
-            vehicle_patente: vehicleData?.licensePlate || "",
-            vehicle_color: vehicleData?.color || "",
-            vehicle_foto: vehicleData?.photoUri || "",
-            timestamp: Date.now().toString(),
-            emergencyRoomId,
-          }
-        );
+      // 📡 Difusión por proximidad: primer anillo ahora, los siguientes si faltan ayudantes
+      const broadcastResult = await emergencyBroadcast.start(userId);
+      const socketNotifications = broadcastResult.socketNotifications;
+      const pushNotifications = broadcastResult.pushNotifications;
 
-        if (ok) pushNotifications++;
-      }
+      // 🪜 Escalamiento si nadie confirma ayuda a tiempo
+      emergencyEscalation.start(userId);
 
       console.log(`${colors.red}📢 ALERTA DIFUNDIDA:${colors.reset} ${userName}`);
       console.log(`${colors.blue}   → Sockets: ${socketNotifications} usuarios conectados${colors.reset}`);
       console.log(`${colors.magenta}   → Push: ${pushNotifications} usuarios no conectados${colors.reset}`);
+      console.log(`${colors.gray}   → Radio: ${broadcastResult.radiusKm} km${colors.reset}`);
 
       return ack?.({
         success: true,
@@ -3257,7 +7908,9 @@ socket.on("get_users", (data = {}, ack) => {
         avatarUrl: avatarUrl,
         socketNotifications: socketNotifications,
         pushNotifications: pushNotifications,
+        broadcastRadiusKm: broadcastResult.radiusKm,
         emergencyRoomId,
+        incidentId,
         staleReplaced: !!lockResult.staleReplaced,
       });
 
@@ -3298,19 +7951,52 @@ socket.on("get_users", (data = {}, ack) => {
         helperName
       });
 
-      if (!emergencyUserId || !helperId) {
-        return ack?.({ success: false, message: "Datos incompletos" });
+      if (!state.emergencyAlerts.has(emergencyUserId)) {
+        return ack?.({ success: false, code: "EMERGENCY_NOT_ACTIVE", message: "La emergencia ya no está activa" });
       }
 
-      // Añadir helper al set de ayudantes
-      const helpers = state.emergencyHelpers.get(emergencyUserId);
-      if (helpers) {
-        helpers.add(helperId);
-        state.emergencyHelpers.set(emergencyUserId, helpers);
+      // 👥 Entrar al plantel: activo si hay cupo, si no lista de espera
+      const { entry, waitlisted, position, rejected } = await helperRoster.confirm(emergencyUserId, helperId, helperName);
+
+      if (rejected) {
+        return ack?.({ success: false, code: "HELPER_REJECTED", message: "La víctima rechazó tu ayuda en esta emergencia" });
+      }
+
+      if (waitlisted) {
+        return ack?.({
+          success: true,
+          waitlisted: true,
+          position,
+          status: entry.status,
+          message: "Cupo de ayudantes completo, quedaste en lista de espera",
+        });
+      }
+
+      // 🪜 Con un ayudante confirmado se detiene el escalamiento
+      emergencyEscalation.stop(emergencyUserId);
+
+      // 🚦 El primer ayudante confirmado pone la emergencia en camino
+      if (state.emergencyAlerts.get(emergencyUserId)?.status === EMERGENCY_STATES.RAISED) {
+        await emergencyLifecycle.transition(emergencyUserId, EMERGENCY_STATES.HELPERS_EN_ROUTE, {
+          actor: helperId,
+          reason: "help_confirm",
+        });
+      }
+
+      // Registrar el ayudante en el historial del incidente
+      const incidentId = getActiveIncidentId(emergencyUserId);
+      if (incidentId) {
+        try {
+          await getEmergencyIncidentRef(incidentId).update({
+            helperIds: admin.firestore.FieldValue.arrayUnion(helperId),
+          });
+        } catch (dbError) {
+          console.warn(`${colors.yellow}⚠️ No se pudo registrar ayudante en el incidente:${colors.reset}`, dbError.message);
+        }
       }
 
       // Notificar a la víctima
-      io.to(emergencyUserId).emit("help_confirmed", {
+      utils.emitToUser(emergencyUserId, "help_confirmed", {
         emergencyUserId,
         helperId,
         helperName: helperName || "Ayudante",
@@ -3320,14 +8006,15 @@ socket.on("get_users", (data = {}, ack) => {
       });
 
       // Notificar al helper que su confirmación fue recibida
-      io.to(helperId).emit("help_confirmed_notification", {
+      utils.emitToUser(helperId, "help_confirmed_notification", {
         emergencyUserId,
         helperId,
         helperName,
+        role: entry.role,
         timestamp: Date.now()
       });
 
-      ack?.({ success: true });
+      ack?.({ success: true, waitlisted: false, role: entry.role, status: entry.status });
 
     } catch (error) {
       console.error(`${colors.red}❌ Error en help_confirm:${colors.reset}`, error);
@@ -3347,25 +8034,31 @@ socket.on("get_users", (data = {}, ack) => {
         helperId
       });
 
-      if (!emergencyUserId || !helperId) {
-        return ack?.({ success: false, message: "Datos incompletos" });
+      // Solo la víctima puede rechazar a un ayudante
+      if (socket.userId && socket.userId !== emergencyUserId) {
+        return ack?.({ success: false, code: "NOT_VICTIM", message: "Solo la víctima puede rechazar ayudantes" });
       }
 
-      // Eliminar helper del set de ayudantes
-      const helpers = state.emergencyHelpers.get(emergencyUserId);
-      if (helpers) {
-        helpers.delete(helperId);
-        state.emergencyHelpers.set(emergencyUserId, helpers);
+      // 👥 Liberar el lugar (y promover desde la lista de espera)
+      const { entry, promoted } = await helperRoster.release(
+        emergencyUserId,
+        helperId,
+        HELPER_STATUSES.REJECTED,
+        "rejected_by_victim"
+      );
+      if (!entry) {
+        return ack?.({ success: false, code: "NOT_A_HELPER", message: "El ayudante no está en el plantel de esta emergencia" });
       }
+      await syncEmergencyStatusWithHelpers(emergencyUserId, socket.userId || emergencyUserId, "helper_rejected");
 
       // Notificar al helper que fue rechazado
-      io.to(helperId).emit("help_rejected", {
+      utils.emitToUser(helperId, "help_rejected", {
         emergencyUserId,
         helperId,
         timestamp: Date.now()
       });
 
-      ack?.({ success: true });
+      ack?.({ success: true, promoted: promoted.map((h) => h.helperId) });
 
     } catch (error) {
       console.error(`${colors.red}❌ Error en help_reject:${colors.reset}`, error);
@@ -3373,18 +8066,82 @@ socket.on("get_users", (data = {}, ack) => {
     }
   });
 
+  // ============================================================
+  // 📍 EVENTO DE AYUDANTE EN EL LUGAR
+  // ============================================================
+  socket.on("helper_arrived", async (data = {}, ack) => {
+    try {
+      const { emergencyUserId, helperId, helperName } = data;
+
+      console.log(`${colors.green}📍 Evento → helper_arrived:${colors.reset}`, {
+        emergencyUserId,
+        helperId
+      });
+
+      const helpers = state.emergencyHelpers.get(emergencyUserId);
+      if (!helpers?.has(helperId)) {
+        return ack?.({ success: false, code: "NOT_A_HELPER", message: "El ayudante no confirmó ayuda para esta emergencia" });
+      }
+
+      const result = await markHelperArrived(emergencyUserId, helperId, { helperName });
+
+      if (!result.ok) {
+        return ack?.({ success: false, code: result.code, message: `Transición inválida: ${result.from} → ${result.to}` });
+      }
+
+      ack?.({ success: true, status: result.to });
+
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en helper_arrived:${colors.reset}`, error);
+      ack?.({ success: false, message: error.message });
+    }
+  });
+
+  // ============================================================
+  // 🚶 EVENTO DE RETIRO DE AYUDANTE
+  // ============================================================
+  socket.on("help_withdraw", async (data = {}, ack) => {
+    try {
+      const { emergencyUserId, helperId, reason } = data;
+
+      console.log(`${colors.yellow}🚶 Evento → help_withdraw:${colors.reset}`, {
+        emergencyUserId,
+        helperId
+      });
+
+      const { entry, promoted } = await helperRoster.release(
+        emergencyUserId,
+        helperId,
+        HELPER_STATUSES.WITHDRAWN,
+        reason || "withdrawn_by_helper"
+      );
+      if (!entry) {
+        return ack?.({ success: false, code: "NOT_A_HELPER", message: "El ayudante no está en el plantel de esta emergencia" });
+      }
+      await syncEmergencyStatusWithHelpers(emergencyUserId, helperId, "helper_withdrawn");
+
+      // Sale de la sala de emergencia
+      const roomId = state.emergencyUserRoom.get(emergencyUserId);
+      if (roomId) socket.leave(roomId);
+
+      ack?.({ success: true, promoted: promoted.map((h) => h.helperId) });
+
+    } catch (error) {
+      console.error(`${colors.red}❌ Error en help_withdraw:${colors.reset}`, error);
+      ack?.({ success: false, message: error.message });
+    }
+  });
+
   // ============================================================
 // ✅ EVENTO DE RESOLUCIÓN DE EMERGENCIA (VERSIÓN CORREGIDA)
 // ============================================================
 socket.on("emergency_resolve", async (data = {}, ack) => {
   try {
-    const { userId, reason = "resolved_by_user" } = data;
-
-    console.log(`${colors.green}✅ Evento → emergency_resolve:${colors.reset}`, { userId, reason });
+    const { userId, force = false } = data;
+    const forced = force === true && !!socket.userId && userId !== socket.userId;
+    const reason = data.reason || (forced ? "force_resolved" : "resolved_by_user");
 
-    if (!userId) {
-      return ack?.({ success: false, message: "userId requerido" });
-    }
+    console.log(`${colors.green}✅ Evento → emergency_resolve:${colors.reset}`, { userId, reason, forcedBy: forced ? socket.userId : null });
 
     // 🔥 ANTI-LOOP: Evitar resoluciones múltiples
     if (global.resolveInProgress?.has(userId)) {
@@ -3397,7 +8154,28 @@ socket.on("emergency_resolve", async (data = {}, ack) => {
 
     const emergencyRoomId = state.emergencyUserRoom.get(userId) || `emergencia_${userId}`;
     const emergencyData = state.emergencyAlerts.get(userId);
-    const username = emergencyData?.userName || socket.username || "Usuario";
+    const username = emergencyData?.userName || (forced ? null : socket.username) || "Usuario";
+    const incidentId = await resolveEmergencyIncidentId(userId);
+
+    // NOTIFICAR A TODOS (emergency_state_changed → resolved); si la transición
+    // no es válida (ya cerrada, incidente desconocido) no se desarma nada
+    const transition = await emergencyLifecycle.transition(userId, EMERGENCY_STATES.RESOLVED, {
+      actor: socket.userId || userId,
+      reason,
+      incidentId,
+      roomId: emergencyRoomId,
+    });
+    if (!transition.ok || transition.unchanged) {
+      global.resolveInProgress.delete(userId);
+      return ack?.({
+        success: false,
+        code: "INVALID_TRANSITION",
+        message: `No se puede resolver una emergencia en estado ${transition.from || "desconocido"}`,
+        from: transition.from,
+      });
+    }
+
+    await locationPipeline.close(incidentId);
 
     // ============================================================
     // 🔥 1. FORZAR SALIDA DE SOCKETS DEL USUARIO DE LA SALA
@@ -3418,47 +8196,29 @@ socket.on("emergency_resolve", async (data = {}, ack) => {
       });
     }
 
-    // 2. LIBERAR LOCK GLOBAL
+    // 2. LIBERAR LOCK DE LA VÍCTIMA
     try {
       await releaseEmergencyLock({
         userId,
         roomId: emergencyRoomId,
         reason,
-        force: true, // Forzar liberación
       });
       console.log(`${colors.green}🔓 Lock liberado para ${userId}${colors.reset}`);
     } catch (lockError) {
       console.warn(`${colors.yellow}⚠️ Error liberando lock:${colors.reset}`, lockError.message);
     }
 
-    // 3. NOTIFICAR A TODOS LOS USUARIOS
-    io.emit("emergency_cancelled", {
-      userId,
-      userName: username,
-      username: username,
-      roomId: emergencyRoomId,
-      reason,
-      timestamp: Date.now(),
-      isActive: false,
-    });
-
-    // 4. NOTIFICAR A LOS USUARIOS EN LA SALA
-    io.to(emergencyRoomId).emit("emergency_resolved", {
-      roomId: emergencyRoomId,
-      userId,
-      message: "Emergencia resuelta",
-      reason,
-      timestamp: Date.now(),
-    });
-
-    // 5. ELIMINAR HISTORIAL DE CHAT
+    // 5. ARCHIVAR TRANSCRIPCIÓN (Y VACIAR LA SALA EN VIVO)
+    let transcriptArchived = false;
     try {
-      await deleteEmergencyChatHistory(emergencyRoomId);
-      console.log(`${colors.green}🗑️ Historial eliminado: ${emergencyRoomId}${colors.reset}`);
-    } catch (deleteError) {
+      if (!incidentId) throw new Error("Incidente no encontrado");
+      await archiveEmergencyChatHistory(incidentId, emergencyRoomId, reason);
+      transcriptArchived = true;
+      console.log(`${colors.green}📜 Historial archivado: ${emergencyRoomId}${colors.reset}`);
+    } catch (archiveError) {
       console.warn(
-        `${colors.yellow}⚠️ No se pudo eliminar el historial:${colors.reset}`,
-        deleteError.message
+        `${colors.yellow}⚠️ No se pudo archivar el historial (se conserva en la sala):${colors.reset}`,
+        archiveError.message
       );
     }
 
@@ -3482,17 +8242,24 @@ socket.on("emergency_resolve", async (data = {}, ack) => {
     if (state.chatRooms.has(emergencyRoomId)) {
       state.chatRooms.delete(emergencyRoomId);
     }
+    floorControl.clear(emergencyRoomId);
+    conference.end(emergencyRoomId, "resolved");
 
     // 8. LIMPIAR ESTADO INTERNO
+    clearEmergencyReconnectGrace(userId);
+    emergencyBroadcast.stop(userId);
+    emergencyEscalation.stop(userId);
     state.emergencyUserRoom.delete(userId);
     state.emergencyAlerts.delete(userId);
     state.emergencyHelpers.delete(userId);
+    helperRoster.clear(userId);
+    state.emergencyHeartbeats.delete(userId);
 
     // 9. ACTUALIZAR FIRESTORE - DOCUMENTO DE EMERGENCIA
     try {
-      const emergencyRef = db.collection(COLLECTIONS.EMERGENCIES).doc(userId);
+      if (!incidentId) throw new Error("Incidente no encontrado");
+      const emergencyRef = getEmergencyIncidentRef(incidentId);
       await emergencyRef.update({
-        status: "resolved",
         isActive: false,
         resolvedAt: Date.now(),
         endedAt: Date.now(),
@@ -3510,6 +8277,8 @@ socket.on("emergency_resolve", async (data = {}, ack) => {
       await userRef.update({
         hasActiveEmergency: false,
         emergencyRoomId: null,
+        currentEmergencyId: null,
+        lastEmergencyId: incidentId,
         lastEmergencyEnded: Date.now(),
       });
       console.log(`${colors.green}✅ Usuario actualizado en Firestore${colors.reset}`);
@@ -3536,7 +8305,7 @@ socket.on("emergency_resolve", async (data = {}, ack) => {
 
     // 13. ACTUALIZAR LISTA DE USUARIOS CONECTADOS
     const connectedUsersList = Array.from(state.connectedUsers.values()).map((u) => ({
-      ...u.userData,
+      ...locationPrivacy.sanitizeUser(u.userData),
       socketCount: u.sockets.size,
       currentRoom: u.userData.currentRoom || "general"
     }));
@@ -3553,7 +8322,9 @@ socket.on("emergency_resolve", async (data = {}, ack) => {
       success: true,
       message: "Emergencia resuelta correctamente",
       emergencyRoomId,
-      chatHistoryDeleted: true,
+      incidentId,
+      chatHistoryDeleted: transcriptArchived,
+      transcriptArchived,
     });
 
   } catch (error) {
@@ -3587,6 +8358,16 @@ socket.on("disconnect", async (reason) => {
     isLastConnection = entry.sockets.size === 0;
   }
 
+  // 🎙️ Liberar turnos y colas push-to-talk de este socket
+  floorControl.dropSocket(socket.id);
+  conference.dropSocket(socket.id);
+
+  // 📞 Sin conexiones no puede seguir en llamada (si solo estaba sonando, la push sigue vigente)
+  const activeCall = userId ? callSignaling.activeCallOf(userId) : null;
+  if (activeCall && isLastConnection && (activeCall.status === CALL_STATES.CONNECTED || activeCall.callerId === userId)) {
+    callSignaling.end(activeCall, "disconnected");
+  }
+
   const hasActiveEmergency = userId ? state.emergencyAlerts.has(userId) : false;
   const emergencyRoomId = userId ? state.emergencyUserRoom.get(userId) : null;
   
@@ -3600,21 +8381,11 @@ socket.on("disconnect", async (reason) => {
       console.log(`${colors.yellow}🔌 Socket ${socket.id} forzado a salir de ${emergencyRoomId} (desconexión)${colors.reset}`);
     }
     
-    // Si el usuario tenía emergencia activa y es la última conexión, limpiar todo
+    // Si el usuario tenía emergencia activa y es la última conexión, dar tiempo a reconectar
     if (hasActiveEmergency && isLastConnection) {
       console.log(`${colors.red}🚨 USUARIO CON EMERGENCIA ACTIVA SE DESCONECTÓ (última conexión): ${username}${colors.reset}`);
-      
-      // Forzar salida de todos los sockets de este usuario de la sala
-      if (entry) {
-        entry.sockets.forEach(sid => {
-          const s = io.sockets.sockets.get(sid);
-          if (s && s.rooms?.has(emergencyRoomId)) {
-            s.leave(emergencyRoomId);
-          }
-        });
-      }
-      
-      await cleanupUserEmergency(userId, username, emergencyRoomId, "user_disconnected_last_socket");
+
+      startEmergencyReconnectGrace(userId, username, emergencyRoomId);
     }
   }
 
@@ -3687,7 +8458,8 @@ socket.on("disconnect", async (reason) => {
   // ============================================================
   // 4. NOTIFICAR ESPECÍFICAMENTE SI ERA SALA DE EMERGENCIA
   // ============================================================
-  if (hasActiveEmergency && emergencyRoomId && currentRoom === emergencyRoomId) {
+  // (si era la última conexión, la cuenta regresiva ya se notificó en el paso 1)
+  if (hasActiveEmergency && emergencyRoomId && currentRoom === emergencyRoomId && !isLastConnection) {
     console.log(`${colors.yellow}⚠️ Usuario abandonó sala de emergencia por desconexión${colors.reset}`);
     
     io.to(emergencyRoomId).emit("emergency_user_disconnected", {
@@ -3709,8 +8481,9 @@ socket.on("disconnect", async (reason) => {
     entry.userData.isOnline = false;
     entry.userData.currentRoom = "general";
     
-    // Eliminar del mapa de usuarios conectados
+    // Eliminar del mapa de usuarios conectados y del índice geoespacial en memoria
     state.connectedUsers.delete(userId);
+    geoIndex.remove(userId);
     
     // Notificar cambio de estado
     io.emit('user_status_changed', {
@@ -3718,11 +8491,12 @@ socket.on("disconnect", async (reason) => {
       username,
       isOnline: false,
       currentRoom: "general",
-      emergencyCleared: hasActiveEmergency,
+      emergencyCleared: false,
+      emergencyReconnectPending: state.pendingEmergencyDisconnects.has(userId),
       timestamp: Date.now()
     });
     
-    console.log(`${colors.red}🔴 Usuario ${username} completamente desconectado. ${hasActiveEmergency ? '(Emergencia limpiada)' : ''}${colors.reset}`);
+    console.log(`${colors.red}🔴 Usuario ${username} completamente desconectado. ${hasActiveEmergency ? '(Emergencia en espera de reconexión)' : ''}${colors.reset}`);
   } else if (entry) {
     console.log(`${colors.yellow}⚠️ Usuario ${username} tiene ${entry.sockets.size} conexiones restantes${colors.reset}`);
     
@@ -3762,7 +8536,7 @@ socket.on("disconnect", async (reason) => {
   // 7. ACTUALIZAR LISTA DE USUARIOS CONECTADOS
   // ============================================================
   const connectedUsersList = Array.from(state.connectedUsers.values()).map((u) => ({
-    ...u.userData,
+    ...locationPrivacy.sanitizeUser(u.userData),
     socketCount: u.sockets.size,
     currentRoom: u.userData.currentRoom || "general"
   }));
@@ -3779,6 +8553,10 @@ socket.on("disconnect", async (reason) => {
 // 🚀 INICIALIZACIÓN Y INICIO DEL SERVIDOR
 // ============================================================
 initializeDefaultRooms();
+// Se escucha recién con las salas cargadas: si no, los mensajes tempranos se pisarían con messageCount persistido
+const roomsLoaded = roomService.load().catch((e) =>
+  console.error(`${colors.red}❌ No se pudieron cargar las salas desde Firestore:${colors.reset}`, e.message)
+);
 
 const PORT = process.env.PORT || 8080;
 
@@ -3790,6 +8568,19 @@ process.on('unhandledRejection', (reason, promise) => {
   console.error(`${colors.red}🔥 PROMESA RECHAZADA NO MANEJADA:${colors.reset}`, reason);
 });
 
+// 💓 Sweeper de emergencias sin heartbeat (también limpia locks huérfanos tras un crash)
+setInterval(sweepExpiredEmergencies, EMERGENCY_SWEEP_INTERVAL_MS);
+
+// 📜 Purga de transcripciones de emergencia con retención vencida
+setInterval(transcriptService.purgeExpired, TRANSCRIPT_PURGE_INTERVAL_MS);
+
+// 🧽 Retención de ubicaciones de usuarios
+setInterval(locationPrivacy.purgeStale, LOCATION_RETENTION_SWEEP_MS);
+
+// 🚦 Descartar buckets de rate limiting inactivos
+setInterval(rateLimiter.prune, 60 * 1000);
+setInterval(roomAccess.prunePasscodeFailures, 60 * 1000);
+
 // Programa una limpieza automática de tokens cada 24 horas (opcional)
 // setInterval(cleanupInvalidTokens, 24 * 60 * 60 * 1000);
 
@@ -3802,17 +8593,45 @@ setInterval(() => {
   });
 }, 300000);
 
-server.listen(PORT, () => {
+roomsLoaded.then(() => server.listen(PORT, () => {
   console.log(`${colors.green}🚀 Servidor de chat corriendo en puerto ${PORT}${colors.reset}`);
   console.log(`${colors.cyan}🌐 http://localhost:${PORT}${colors.reset}`);
   console.log(`${colors.blue}💬 Sistema de salas activo${colors.reset}`);
   console.log(`${colors.red}🚨 Sistema de Emergencia activo${colors.reset}`);
-  console.log(`${colors.yellow}🔒 Sistema de LOCK global (1 emergencia a la vez)${colors.reset}`);
+  console.log(`${colors.yellow}🔒 Sistema de LOCK por víctima (emergencias concurrentes)${colors.reset}`);
+  console.log(`${colors.red}📡 Difusión por proximidad: anillos ${EMERGENCY_BROADCAST_RINGS_KM.join("/")} km (mínimo ${EMERGENCY_MIN_HELPERS} ayudantes)${colors.reset}`);
+  console.log(`${colors.red}🪜 Escalamiento: ${EMERGENCY_ESCALATION_POLICY.map((st) => `${st.action}@${st.afterMs / 1000}s`).join(" → ")}${colors.reset}`);
+  console.log(`${colors.cyan}👥 Ayudantes: máximo ${EMERGENCY_MAX_ACTIVE_HELPERS} activos + lista de espera (help_withdraw, helper_roster_updated)${colors.reset}`);
+  console.log(`${colors.cyan}⏱️ ETA de ayudantes (helper_eta_updated), llegada automática a ${HELPER_ARRIVAL_RADIUS_M} m${colors.reset}`);
+  console.log(`${colors.gray}📦 Ubicaciones: mínimo ${LOCATION_MIN_DISTANCE_M} m / ${LOCATION_MIN_INTERVAL_MS} ms, batch cada ${LOCATION_FLUSH_INTERVAL_MS} ms o ${LOCATION_BATCH_SIZE} puntos${colors.reset}`);
+  console.log(`${colors.cyan}🗺️ Exportar trail: GET /emergencies/:emergencyId/trail.geojson | trail.gpx${colors.reset}`);
+  console.log(`${colors.gray}🕶️ Privacidad de ubicación: modo por defecto ${DEFAULT_LOCATION_SHARING_MODE}, retención ${LOCATION_RETENTION_MS / 3600000} h${colors.reset}`);
+  console.log(`${AUTH_REQUIRED ? colors.green : colors.yellow}🔐 Autenticación Firebase ID token: ${AUTH_REQUIRED ? "requerida" : "DESACTIVADA (AUTH_REQUIRED=false)"}${colors.reset}`);
+  console.log(`${colors.magenta}🛡️ Roles: ${Object.values(ROLES).join(" / ")} (GET /auth/me, emergency_resolve con force para admin)${colors.reset}`);
+  console.log(`${colors.yellow}🚦 Rate limiting: token buckets por evento/usuario/IP, silencio ${RATE_LIMIT_MUTE_MS / 1000}s tras ${RATE_LIMIT_MUTE_THRESHOLD} violaciones${colors.reset}`);
+  console.log(`${colors.magenta}🎙️ Push-to-talk: turno máx ${PTT_MAX_TALK_MS / 1000}s (emergencia ${PTT_EMERGENCY_MAX_TALK_MS / 1000}s), cola de ${PTT_QUEUE_MAX}${colors.reset}`);
+  console.log(`${colors.magenta}📻 Audio PTT en vivo: chunks de hasta ${PTT_STREAM_MAX_CHUNK_BYTES / 1024} KB, cierre tras ${PTT_STREAM_IDLE_MS / 1000}s sin datos${colors.reset}`);
+  console.log(`${colors.cyan}📞 Llamadas WebRTC: timbre de ${CALL_RING_TIMEOUT_MS / 1000}s, push FCM si el destinatario está desconectado${colors.reset}`);
+  console.log(`${colors.cyan}🎧 Conferencias de emergencia: mesh de hasta ${CONFERENCE_MAX_PARTICIPANTS} participantes${colors.reset}`);
+  console.log(`${colors.green}🗂️ Canales de usuario persistidos en "${COLLECTIONS.ROOMS}" (capacidad por defecto ${ROOM_DEFAULT_CAPACITY})${colors.reset}`);
+  console.log(`${colors.green}🔐 Acceso a salas: invitaciones, solicitudes, claves y baneos; emergencias solo víctima, ayudantes y admins${colors.reset}`);
+  console.log(`${colors.magenta}💌 Mensajes directos en "${COLLECTIONS.CONVERSATIONS}" (historial por conversación, no leídos por usuario)${colors.reset}`);
+  console.log(`${colors.cyan}📐 Validación de esquemas: ${Object.keys(SOCKET_SCHEMAS).length} eventos de socket, ${Object.keys(REST_SCHEMAS).length} cuerpos REST${colors.reset}`);
+  console.log(`${colors.blue}🗺️ Índice geohash: GET /users/nearby?lat&lng&radiusKm|k${colors.reset}`);
+  console.log(`${colors.yellow}⏳ Gracia de reconexión de víctimas: ${EMERGENCY_RECONNECT_GRACE_MS / 1000}s${colors.reset}`);
+  console.log(`${colors.yellow}💓 Sweeper de heartbeat cada ${EMERGENCY_SWEEP_INTERVAL_MS / 1000}s (TTL ${LOCK_TTL_MS / 1000}s)${colors.reset}`);
+  console.log(`${colors.yellow}📜 Transcripciones de emergencia archivadas (retención ${TRANSCRIPT_RETENTION_DAYS} días)${colors.reset}`);
   console.log(`${colors.magenta}🔥 Sistema de Tokens FCM mejorado${colors.reset}`);
   console.log(`${colors.green}📱 Nuevos endpoints FCM disponibles:${colors.reset}`);
   console.log(`${colors.cyan}   POST /fcm/cleanup-tokens - Para limpiar tokens inválidos${colors.reset}`);
   console.log(`${colors.cyan}   GET /fcm/user-tokens/:userId - Para debug de tokens${colors.reset}`);
   console.log(`${colors.cyan}   POST /fcm/refresh-token - Para refrescar tokens${colors.reset}`);
+  console.log(`${colors.green}🗂️ Historial de incidentes:${colors.reset}`);
+  console.log(`${colors.cyan}   GET /users/:userId/emergencies - Incidentes de un usuario${colors.reset}`);
+  console.log(`${colors.cyan}   GET /emergencies/:emergencyId - Detalle con ayudantes y trail${colors.reset}`);
+  console.log(`${colors.green}📜 Transcripciones de emergencia:${colors.reset}`);
+  console.log(`${colors.cyan}   GET /emergencies/:emergencyId/transcript - Consultar transcripción archivada${colors.reset}`);
+  console.log(`${colors.cyan}   DELETE /emergencies/:emergencyId/transcript - Purgar transcripción${colors.reset}`);
   console.log(`${colors.cyan}📍 NUEVOS EVENTOS DE UBICACIÓN:${colors.reset}`);
   console.log(`${colors.cyan}   - update_location - Ubicación general${colors.reset}`);
   console.log(`${colors.cyan}   - update_emergency_location - Víctima en emergencia${colors.reset}`);
@@ -3823,4 +8642,6 @@ server.listen(PORT, () => {
   console.log(`${colors.green}🤝 NUEVOS EVENTOS DE AYUDA:${colors.reset}`);
   console.log(`${colors.cyan}   - help_confirm - Confirmar ayuda${colors.reset}`);
   console.log(`${colors.cyan}   - help_reject - Rechazar ayuda${colors.reset}`);
-});
\ No newline at end of file
+  console.log(`${colors.cyan}   - helper_arrived - Ayudante en el lugar${colors.reset}`);
+  console.log(`${colors.green}🚦 Cambios de estado de emergencia → emergency_state_changed${colors.reset}`);
+}));
\ No newline at end of file
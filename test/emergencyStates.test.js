@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  EMERGENCY_STATES: S,
+  EMERGENCY_TRANSITIONS,
+  isTerminal,
+  canTransition,
+} = require("../lib/emergencyStates");
+
+test("una emergencia abierta puede cerrarse de cualquier forma", () => {
+  for (const from of [S.RAISED, S.HELPERS_EN_ROUTE, S.HELPER_ON_SCENE]) {
+    for (const to of [S.RESOLVED, S.CANCELLED, S.EXPIRED]) {
+      assert.equal(canTransition(from, to), true, `${from} → ${to}`);
+    }
+  }
+});
+
+test("avance normal: raised → helpers_en_route → helper_on_scene", () => {
+  assert.equal(canTransition(S.RAISED, S.HELPERS_EN_ROUTE), true);
+  assert.equal(canTransition(S.HELPERS_EN_ROUTE, S.HELPER_ON_SCENE), true);
+  assert.equal(canTransition(S.RAISED, S.HELPER_ON_SCENE), true);
+});
+
+test("retrocesos cuando se retiran los ayudantes", () => {
+  assert.equal(canTransition(S.HELPERS_EN_ROUTE, S.RAISED), true);
+  assert.equal(canTransition(S.HELPER_ON_SCENE, S.HELPERS_EN_ROUTE), true);
+  assert.equal(canTransition(S.HELPER_ON_SCENE, S.RAISED), false);
+});
+
+test("los estados terminales no tienen salida", () => {
+  for (const from of [S.RESOLVED, S.CANCELLED, S.EXPIRED]) {
+    assert.equal(isTerminal(from), true);
+    assert.deepEqual(EMERGENCY_TRANSITIONS[from], []);
+    for (const to of Object.values(S)) assert.equal(canTransition(from, to), false, `${from} → ${to}`);
+  }
+  assert.equal(isTerminal(S.RAISED), false);
+});
+
+test("sin transiciones a sí mismo ni desde estados desconocidos", () => {
+  for (const state of Object.values(S)) assert.equal(canTransition(state, state), false, state);
+  assert.equal(canTransition(null, S.RAISED), false);
+  assert.equal(canTransition("active", S.RESOLVED), false);
+});
+
+test("cada destino es un estado conocido", () => {
+  const known = new Set(Object.values(S));
+  assert.deepEqual(Object.keys(EMERGENCY_TRANSITIONS).sort(), [...known].sort());
+  for (const targets of Object.values(EMERGENCY_TRANSITIONS)) {
+    for (const to of targets) assert.ok(known.has(to), to);
+  }
+});
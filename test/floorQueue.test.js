@@ -0,0 +1,43 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { PTT_PRIORITIES, enqueue } = require("../lib/floorQueue");
+
+const normal = (userId) => ({ userId, priority: PTT_PRIORITIES.NORMAL });
+const emergency = (userId) => ({ userId, priority: PTT_PRIORITIES.EMERGENCY });
+const order = (floor) => floor.queue.map((q) => q.userId);
+
+test("orden de llegada dentro de la misma prioridad", () => {
+  const floor = { queue: [] };
+  assert.equal(enqueue(floor, normal("a")), 1);
+  assert.equal(enqueue(floor, normal("b")), 2);
+  assert.equal(enqueue(floor, normal("c")), 3);
+  assert.deepEqual(order(floor), ["a", "b", "c"]);
+});
+
+test("las emergencias pasan delante de los pedidos normales", () => {
+  const floor = { queue: [] };
+  enqueue(floor, normal("a"));
+  enqueue(floor, normal("b"));
+  assert.equal(enqueue(floor, emergency("e1")), 1);
+  assert.equal(enqueue(floor, emergency("e2")), 2);
+  assert.equal(enqueue(floor, normal("c")), 5);
+  assert.deepEqual(order(floor), ["e1", "e2", "a", "b", "c"]);
+});
+
+test("front ubica al hablante interrumpido al inicio de su banda", () => {
+  const floor = { queue: [] };
+  enqueue(floor, emergency("e1"));
+  enqueue(floor, normal("a"));
+  assert.equal(enqueue(floor, normal("interrumpido"), { front: true }), 2);
+  assert.deepEqual(order(floor), ["e1", "interrumpido", "a"]);
+
+  assert.equal(enqueue(floor, emergency("e0"), { front: true }), 1);
+  assert.deepEqual(order(floor), ["e0", "e1", "interrumpido", "a"]);
+});
+
+test("front en una cola sin pedidos normales va al final", () => {
+  const floor = { queue: [] };
+  enqueue(floor, emergency("e1"));
+  assert.equal(enqueue(floor, normal("a"), { front: true }), 2);
+  assert.deepEqual(order(floor), ["e1", "a"]);
+});
@@ -0,0 +1,103 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { field, validation } = require("../lib/validation");
+
+const schema = {
+  userId: field.id({ required: true }),
+  text: field.text(5),
+  lat: field.lat(),
+  count: { type: "number", integer: true, min: 1 },
+  mode: { type: "string", enum: ["always", "off"] },
+  code: { type: "string", pattern: /^[A-Z]{3}$/ },
+  tags: { type: "array", max: 2, items: field.text(3) },
+  flag: field.boolean(),
+};
+
+const codesOf = (result) => result.errors.map(({ field: name, code }) => `${name}:${code}`);
+
+test("devuelve solo los campos del esquema", () => {
+  const result = validation.validate(schema, { userId: "u1", text: "hola", extra: "x", flag: false });
+  assert.deepEqual(result, { ok: true, value: { userId: "u1", text: "hola", flag: false } });
+});
+
+test("null y undefined cuentan como ausentes", () => {
+  assert.deepEqual(validation.validate(schema, { userId: "u1", text: null, lat: undefined }), {
+    ok: true,
+    value: { userId: "u1" },
+  });
+  assert.deepEqual(codesOf(validation.validate(schema, { userId: null })), ["userId:REQUIRED"]);
+});
+
+test("el payload tiene que ser un objeto", () => {
+  for (const payload of ["x", 3, []]) {
+    assert.deepEqual(codesOf(validation.validate(schema, payload)), ["payload:INVALID_TYPE"]);
+  }
+  assert.deepEqual(codesOf(validation.validate(schema, undefined)), ["userId:REQUIRED"]);
+});
+
+test("tipos, longitudes y rangos", () => {
+  const result = validation.validate(schema, {
+    userId: "",
+    text: "demasiado",
+    lat: 91,
+    count: 1.5,
+    flag: "true",
+  });
+  assert.deepEqual(codesOf(result), [
+    "userId:TOO_SHORT",
+    "text:TOO_LONG",
+    "lat:OUT_OF_RANGE",
+    "count:INVALID_TYPE",
+    "flag:INVALID_TYPE",
+  ]);
+});
+
+test("NaN e Infinity no son números válidos", () => {
+  assert.deepEqual(codesOf(validation.validate(schema, { userId: "u1", lat: NaN })), ["lat:INVALID_TYPE"]);
+  assert.deepEqual(codesOf(validation.validate(schema, { userId: "u1", count: Infinity })), ["count:INVALID_TYPE"]);
+});
+
+test("enum y pattern", () => {
+  const result = validation.validate(schema, { userId: "u1", mode: "nearby", code: "abc" });
+  assert.deepEqual(codesOf(result), ["mode:INVALID_VALUE", "code:INVALID_FORMAT"]);
+});
+
+test("valida cada elemento de un array", () => {
+  assert.deepEqual(validation.validate(schema, { userId: "u1", tags: ["a", "bb"] }).value.tags, ["a", "bb"]);
+  assert.deepEqual(codesOf(validation.validate(schema, { userId: "u1", tags: ["a", "b", "c"] })), ["tags:TOO_LONG"]);
+  assert.deepEqual(codesOf(validation.validate(schema, { userId: "u1", tags: ["a", 2] })), ["tags[1]:INVALID_TYPE"]);
+});
+
+test("type puede ser una lista", () => {
+  const spec = { value: { type: ["string", "number"], required: true } };
+  assert.equal(validation.validate(spec, { value: 3 }).ok, true);
+  assert.equal(validation.validate(spec, { value: "3" }).ok, true);
+  assert.deepEqual(codesOf(validation.validate(spec, { value: true })), ["value:INVALID_TYPE"]);
+});
+
+test("rejection arma el ack de error", () => {
+  const { errors } = validation.validate(schema, {});
+  assert.deepEqual(validation.rejection(errors), {
+    success: false,
+    code: "VALIDATION_ERROR",
+    message: "userId es requerido",
+    errors,
+  });
+});
+
+test("POST /vehicles conserva la patente y los campos de cada tipo", () => {
+  const { VEHICLE_BODY_SCHEMA } = require("../lib/vehicles");
+  const bodies = [
+    { userId: "u1", type: "CAR", licensePlate: "AB123CD", doors: 4 },
+    { userId: "u1", type: "MOTORCYCLE", patente: "A123BCD", cylinderCapacity: 250, mileage: 12000.5 },
+    { userId: "u1", type: "BICYCLE", frameSerialNumber: "WTU123", hasElectricMotor: true, frameSize: "M" },
+  ];
+
+  for (const body of bodies) {
+    assert.deepEqual(validation.validate(VEHICLE_BODY_SCHEMA, body), { ok: true, value: body });
+  }
+  assert.deepEqual(
+    codesOf(validation.validate(VEHICLE_BODY_SCHEMA, { userId: "u1", type: "CAR", doors: "4", hasElectricMotor: 1 })),
+    ["doors:INVALID_TYPE", "hasElectricMotor:INVALID_TYPE"]
+  );
+});